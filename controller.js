@@ -13,8 +13,30 @@ class Controller {
         this.overlay = null;
         this.popupTitle = null;
         this.difficultyButtons = null;
+        this.popupButtons = null; // Difficulty buttons container
+        this.levelSelect = null; // Level cards, shown before the difficulty buttons
+        this.changeLevelButton = null;
         this.fundsDisplay = null;
         this.waveInfoDisplay = null;
+        this.sendWaveButton = null; // Skips the inter-wave countdown
+        this.seedDisplay = null; // Optional: shows the RNG seed of the current run
+        this.menuButton = null; // Pauses the game and opens the save menu
+        this.savePanel = null;
+        this.importSaveInput = null;
+        this.importReplayInput = null;
+        this.replayControls = null; // Play/pause/fast-forward while watching a replay
+        this.replayStatus = null;
+        this.replayPauseButton = null;
+        this.replaySpeedButton = null;
+        this.replayStopButton = null;
+        this.speedControls = null; // Pause / 1x / 2x / 4x
+        this.speedButtons = null;
+        this.wavePreview = null; // Upcoming wave composition
+        this.resultsPanel = null; // End-of-level results after a victory
+        this.endlessModeToggle = null; // Endless mode option next to the difficulty buttons
+        this.endlessModeCheckbox = null;
+        this.telemetryButton = null; // Toggles the wave telemetry panel
+        this.telemetryPanel = null;
         this.defenceMenuElement = null;
         this.gameCanvas = null;
     }
@@ -26,8 +48,30 @@ class Controller {
         this.overlay = document.getElementById('gameOverlay');
         this.popupTitle = document.getElementById('popupTitle');
         this.difficultyButtons = document.querySelectorAll('.difficulty-button');
+        this.popupButtons = document.getElementById('popupButtons');
+        this.levelSelect = document.getElementById('levelSelect');
+        this.changeLevelButton = document.getElementById('changeLevelButton');
         this.fundsDisplay = document.getElementById('fundsDisplay');
         this.waveInfoDisplay = document.getElementById('waveInfoDisplay');
+        this.sendWaveButton = document.getElementById('sendWaveButton');
+        this.seedDisplay = document.getElementById('seedDisplay');
+        this.menuButton = document.getElementById('menuButton');
+        this.savePanel = document.getElementById('savePanel');
+        this.importSaveInput = document.getElementById('importSaveInput');
+        this.importReplayInput = document.getElementById('importReplayInput');
+        this.replayControls = document.getElementById('replayControls');
+        this.replayStatus = document.getElementById('replayStatus');
+        this.replayPauseButton = document.getElementById('replayPauseButton');
+        this.replaySpeedButton = document.getElementById('replaySpeedButton');
+        this.replayStopButton = document.getElementById('replayStopButton');
+        this.speedControls = document.getElementById('speedControls');
+        this.speedButtons = document.querySelectorAll('.speed-button');
+        this.wavePreview = document.getElementById('wavePreview');
+        this.resultsPanel = document.getElementById('resultsPanel');
+        this.endlessModeToggle = document.getElementById('endlessModeToggle');
+        this.endlessModeCheckbox = document.getElementById('endlessModeCheckbox');
+        this.telemetryButton = document.getElementById('telemetryButton');
+        this.telemetryPanel = document.getElementById('telemetryPanel');
         this.defenceMenuElement = document.getElementById('defenceMenu');
         this.gameCanvas = this.gameInstance.app?.canvas;
 
@@ -49,15 +93,289 @@ class Controller {
 
         // --- Add Event Listeners ---
         this._setupDifficultyButtons();
-        this._setupGameOverListener();
+        this._bindLevelListeners();
         // Conditionally setup canvas listeners if gameCanvas is available
         if (this.gameCanvas) {
             this._setupCanvasListeners();
         } else {
             console.warn("Controller Initialize: Skipping canvas listeners as gameCanvas is not available.");
         }
+        this._setupSaveMenu();
+        this._setupReplayControls();
+        this._setupLevelSelect();
+        this._setupSpeedControls();
+        this._setupSendWaveButton();
+        this._setupTelemetryPanel();
+
+        // Tabbing away pauses the game; show the pause menu so the player resumes deliberately
+        this.gameInstance.addAutoPauseListener(() => this._showMenuOverlay('Paused'));
+    }
+
+    /**
+     * Binds the listeners that hang off per-level managers (base, defences, prices, waves).
+     * Runs again after every level switch, since the game rebuilds those managers.
+     */
+    _bindLevelListeners() {
+        this._setupGameOverListener();
+        this._setupVictoryListener();
         this._setupDefenceMenu();
+        this._setupWavePreview();
+    }
+
+    // --- ADDED: Next-wave preview ---
+    _setupWavePreview() {
+        const waveManager = this.gameInstance.waveManager;
+        if (!waveManager || !this.wavePreview) return;
+        waveManager.addEventListener('statusUpdated', () => this._renderWavePreview());
+        this._renderWavePreview();
+    }
+
+    /**
+     * Shows the next wave's enemies (icon and count), total bounty and estimated duration.
+     * Hidden until the next wave has been calculated.
+     */
+    _renderWavePreview() {
+        const preview = this.gameInstance.waveManager?.getNextWavePreview();
+        this.wavePreview.classList.toggle('hidden', !preview);
+        if (!preview) return;
+
+        const enemyManager = this.gameInstance.enemyManager;
+        const definitions = enemyManager?.getEnemyDefinitions() || {};
+        const framesPerRow = enemyManager?.commonSpiderConfig?.display?.framesPerRow || 1;
+        const currencySuffix = this.gameInstance.gameConfig?.ui?.currencySuffix || 'G';
+
+        this.wavePreview.innerHTML = '';
+        const title = document.createElement('div');
+        title.classList.add('wave-preview-title');
+        title.textContent = `Next: wave ${preview.waveNumber}`;
+        this.wavePreview.appendChild(title);
+
+        const enemyList = document.createElement('div');
+        enemyList.classList.add('wave-preview-enemies');
+        for (const { enemyId, count } of preview.enemies) {
+            const definition = definitions[enemyId];
+            const item = document.createElement('span');
+            item.classList.add('wave-preview-enemy');
+            item.title = definition?.name || enemyId;
+
+            const icon = document.createElement('span');
+            icon.classList.add('wave-preview-icon');
+            if (definition?.sprite?.path) {
+                icon.style.backgroundImage = `url("${definition.sprite.path}")`;
+                icon.style.backgroundSize = `${framesPerRow * 100}% auto`; // Scale the sheet so one frame fills the icon
+            }
+            item.appendChild(icon);
+            item.appendChild(document.createTextNode(`×${count}`));
+            enemyList.appendChild(item);
+        }
+        this.wavePreview.appendChild(enemyList);
+
+        const summary = document.createElement('div');
+        summary.textContent = `Bounty ${Math.round(preview.totalBounty)}${currencySuffix} · ~${Math.round(preview.durationSeconds)}s`;
+        this.wavePreview.appendChild(summary);
+    }
+    // --- END ADDED ---
+
+    // --- ADDED: Wave telemetry ---
+    _setupTelemetryPanel() {
+        const telemetryManager = this.gameInstance.telemetryManager;
+        if (!telemetryManager || !this.telemetryPanel) {
+            console.warn("Controller: Telemetry panel unavailable (TelemetryManager or #telemetryPanel missing).");
+            if (this.telemetryButton) this.telemetryButton.style.display = 'none';
+            return;
+        }
+
+        this.telemetryButton?.addEventListener('click', () => this._toggleTelemetryPanel());
+        window.addEventListener('keydown', (event) => {
+            if (event.target instanceof HTMLInputElement || event.repeat) return;
+            if (!this.overlay.classList.contains('hidden')) return; // Popup menus handle their own input
+            if (event.code === 'KeyT') {
+                this._toggleTelemetryPanel();
+            }
+        });
+        telemetryManager.addEventListener('recordsUpdated', () => this._renderTelemetryPanel());
+    }
+
+    _toggleTelemetryPanel() {
+        const isHidden = this.telemetryPanel.classList.toggle('hidden');
+        this.telemetryButton?.classList.toggle('active', !isHidden);
+        this._renderTelemetryPanel();
+    }
+
+    /**
+     * Shows one row per wave: projected vs actual duration, bounty available vs earned, death
+     * distance (mean and interquartile range), leaks, base damage and strike dn / R target vs dealt.
+     * Only redrawn while visible, when a wave starts or clears.
+     */
+    _renderTelemetryPanel() {
+        if (!this.telemetryPanel || this.telemetryPanel.classList.contains('hidden')) return;
+        const telemetryManager = this.gameInstance.telemetryManager;
+        const records = telemetryManager.getRecords();
+        const format = (value, digits = 0) => (typeof value === 'number' && isFinite(value)) ? value.toFixed(digits) : '–';
+
+        this.telemetryPanel.innerHTML = '';
+        const header = document.createElement('div');
+        header.classList.add('telemetry-header');
+        const title = document.createElement('span');
+        title.classList.add('telemetry-title');
+        title.textContent = 'Wave telemetry';
+        header.appendChild(title);
+        for (const fileFormat of ['csv', 'json']) {
+            const exportButton = document.createElement('button');
+            exportButton.textContent = fileFormat.toUpperCase();
+            exportButton.title = `Export as ${fileFormat.toUpperCase()}`;
+            exportButton.disabled = records.length === 0;
+            exportButton.addEventListener('click', () => telemetryManager.exportToFile(fileFormat));
+            header.appendChild(exportButton);
+        }
+        this.telemetryPanel.appendChild(header);
+
+        if (records.length === 0) {
+            this.telemetryPanel.appendChild(document.createTextNode('No waves yet.'));
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.classList.add('telemetry-table');
+        const columns = ['Wave', 'T proj / act (s)', 'Bounty avail / earned', 'Death dist. (IQR)', 'Leaked', 'Base dmg', 'dn', 'R target / dealt'];
+        const headRow = table.createTHead().insertRow();
+        for (const column of columns) {
+            const cell = document.createElement('th');
+            cell.textContent = column;
+            headRow.appendChild(cell);
+        }
+        const body = table.createTBody();
+        for (const record of records) {
+            const row = body.insertRow();
+            const cells = [
+                `${record.waveNumber}`,
+                `${format(record.projectedDurationSeconds, 1)} / ${format(record.actualDurationSeconds, 1)}`,
+                `${format(record.bountyAvailable)} / ${format(record.bountyEarned)}`,
+                record.averageDeathDistance === null ? '–' : `${format(record.averageDeathDistance)} (${format(record.deathDistanceP25)}–${format(record.deathDistanceP75)})`,
+                `${record.enemiesLeaked}`,
+                format(record.baseDamageTaken),
+                format(record.dn, 3),
+                `${format(record.targetR, 2)} / ${format(record.dealtR, 2)}`
+            ];
+            for (const text of cells) {
+                row.insertCell().textContent = text;
+            }
+        }
+        this.telemetryPanel.appendChild(table);
+    }
+    // --- END ADDED ---
+
+    // --- ADDED: Level select ---
+    _setupLevelSelect() {
+        this.gameInstance.addLevelLoadedListener(() => {
+            // New managers: drop any half-finished placement and re-bind the UI
+            selectedDefenceType = null;
+            isPlacingDefence = false;
+            placementPreviewPos = null;
+            this._bindLevelListeners();
+            this._renderSavePanel();
+        });
+
+        if (this.changeLevelButton) {
+            this.changeLevelButton.addEventListener('click', () => {
+                if (this.gameInstance.isGameActive) return;
+                this._showLevelSelect();
+            });
+        }
+
+        if (this.levelSelect && this.gameInstance.levelManager) {
+            this._showLevelSelect();
+        } else {
+            console.warn("Controller: Level select unavailable (LevelManager or #levelSelect missing).");
+            if (this.changeLevelButton) this.changeLevelButton.style.display = 'none';
+        }
+    }
+
+    /**
+     * Shows the level cards in the popup in place of the difficulty buttons.
+     */
+    _showLevelSelect() {
+        const levelManager = this.gameInstance.levelManager;
+        if (!levelManager || !this.levelSelect) return;
+
+        this.popupTitle.textContent = 'Choose your battlefield';
+        if (this.resultsPanel) this.resultsPanel.innerHTML = '';
+        this.levelSelect.innerHTML = '';
+        for (const level of levelManager.getLevels()) {
+            this.levelSelect.appendChild(this._createLevelCard(level));
+        }
+        this.levelSelect.classList.remove('hidden');
+        this.popupButtons?.classList.add('hidden');
+    }
+
+    /**
+     * Shows the difficulty buttons (and "Change level") in the popup.
+     * @param {string} title - Popup title.
+     */
+    _showDifficultySelect(title) {
+        this.popupTitle.textContent = title;
+        if (this.resultsPanel) this.resultsPanel.innerHTML = '';
+        this.levelSelect?.classList.add('hidden');
+        this.popupButtons?.classList.remove('hidden');
+        // Endless mode only means something on levels with a campaign length
+        this.endlessModeToggle?.classList.toggle('hidden', !this.gameInstance.waveManager?.getCampaignLength());
+    }
+
+    _createLevelCard(level) {
+        const levelManager = this.gameInstance.levelManager;
+        const isUnlocked = levelManager.isUnlocked(level.id);
+
+        const card = document.createElement('button');
+        card.classList.add('level-card');
+        card.classList.toggle('locked', !isUnlocked);
+        card.dataset.levelId = level.id;
+
+        if (level.thumbnail) {
+            const thumbnail = document.createElement('img');
+            thumbnail.src = level.thumbnail;
+            thumbnail.alt = '';
+            card.appendChild(thumbnail);
+        }
+        const name = document.createElement('span');
+        name.textContent = level.name || `Level ${level.id}`;
+        card.appendChild(name);
+
+        const status = document.createElement('span');
+        status.classList.add('level-card-status');
+        if (!isUnlocked) {
+            const requiredLevel = levelManager.getLevel(level.unlock.level);
+            status.textContent = `Reach wave ${level.unlock.wave ?? 1} on ${requiredLevel?.name || `level ${level.unlock.level}`}`;
+        } else {
+            const bestWave = levelManager.getBestWave(level.id);
+            status.textContent = bestWave > 0 ? `Best: wave ${bestWave}` : 'New';
+        }
+        card.appendChild(status);
+
+        card.addEventListener('click', () => this._selectLevel(level.id));
+        return card;
+    }
+
+    /**
+     * Switches to the chosen level (if it isn't loaded already), then moves on to the difficulty step.
+     * @param {number|string} levelId - Level ID from the manifest.
+     */
+    async _selectLevel(levelId) {
+        if (!this.gameInstance.levelManager.isUnlocked(levelId)) return;
+
+        if (String(levelId) !== String(this.gameInstance.levelId)) {
+            this.popupTitle.textContent = 'Loading…';
+            this.levelSelect.classList.add('hidden');
+            if (!await this.gameInstance.switchLevel(levelId)) {
+                this._showLevelSelect();
+                this.popupTitle.textContent = 'Could not load level';
+                return;
+            }
+        }
+        this.overlay.classList.remove('game-over', 'fade-in');
+        this.overlay.style.opacity = '';
+        this._showDifficultySelect('Choose your destiny');
     }
+    // --- END ADDED ---
 
     _setupDifficultyButtons() {
         this.difficultyButtons.forEach(button => {
@@ -75,56 +393,373 @@ class Controller {
             }
 
             const selectedDifficulty = event.target.dataset.difficulty;
-            let scalar;
-                if (this.gameInstance.gameConfig && this.gameInstance.gameConfig.difficultyScalars) {
-                    scalar = this.gameInstance.gameConfig.difficultyScalars[selectedDifficulty];
-            } else {
-                 console.error("Game config or difficulty scalars not loaded! Cannot set difficulty.");
-                 return;
+            if (!this.gameInstance.applyDifficulty(selectedDifficulty)) {
+                return; // Unknown difficulty or config not loaded (logged by Game)
             }
-            if (scalar === undefined) {
-                console.error(`Invalid difficulty selected: ${selectedDifficulty}`);
-                return;
+            this.gameInstance.setEndlessMode(!!this.endlessModeCheckbox?.checked);
+
+                this._startBackgroundMusic();
+
+                this.gameInstance.startGame();
+                this._hideOverlay();
+            });
+        });
+    }
+
+    /**
+     * Starts (or restores the volume of) the background music.
+     */
+    _startBackgroundMusic() {
+        if (this.gameInstance.backgroundMusic) {
+            if (!this.gameInstance.isMusicPlaying) {
+                const playPromise = this.gameInstance.backgroundMusic.play();
+              if (playPromise !== undefined) {
+                    playPromise.then(() => { this.gameInstance.isMusicPlaying = true; })
+                             .catch(error => { console.error("Background music play failed:", error); });
+                } else {
+                    this.gameInstance.isMusicPlaying = true;
+                }
             }
+            this.gameInstance.backgroundMusic.volume = 1.0;
+        } else {
+            console.warn("Cannot control music: gameInstance.backgroundMusic is null.");
+        }
+    }
 
-            this.gameInstance.setDifficultyScalar(scalar);
-            // Classic mode: no wear, no airstrikes
-            if (selectedDifficulty === 'classic') {
-                this.gameInstance.setWearEnabled(false);
-                this.gameInstance.setAirstrikesEnabled(false);
-            } else {
-                this.gameInstance.setWearEnabled(true);
-                this.gameInstance.setAirstrikesEnabled(true);
+    /**
+     * Hides the popup overlay and clears any game-over styling.
+     */
+    _hideOverlay() {
+        this.overlay.classList.add('hidden');
+        this.overlay.classList.remove('game-over', 'fade-in');
+        this.overlay.style.opacity = '';
+    }
+
+    // --- ADDED: Save menu ---
+    _setupSaveMenu() {
+        const saveManager = this.gameInstance.saveManager;
+        if (!saveManager || !this.savePanel) {
+            console.warn("Controller: Save menu unavailable (SaveManager or #savePanel missing).");
+            if (this.menuButton) this.menuButton.style.display = 'none';
+            return;
+        }
+
+        if (this.menuButton) {
+            this.menuButton.addEventListener('click', () => {
+                if (!this.gameInstance.isGameActive) return; // Menu is only for pausing a running game
+                this.gameInstance.pauseGame();
+                this._showMenuOverlay('Paused');
+            });
+        }
+
+        if (this.importSaveInput) {
+            this.importSaveInput.addEventListener('change', async () => {
+                const file = this.importSaveInput.files?.[0];
+                this.importSaveInput.value = ''; // Allow importing the same file again
+                if (file) {
+                    await this._resumeFromSave(saveManager.importFromFile(file));
+                }
+            });
+        }
+
+        saveManager.addEventListener('slotsUpdated', () => this._renderSavePanel());
+        this._renderSavePanel();
+    }
+
+    /**
+     * Rebuilds the save slot list in the popup. Saving is only offered while a game is in progress.
+     */
+    _renderSavePanel() {
+        const saveManager = this.gameInstance.saveManager;
+        if (!saveManager || !this.savePanel) return;
+
+        this.savePanel.innerHTML = '';
+        const canSave = this.gameInstance.canSave();
+
+        if (canSave && !this.gameInstance.isGameActive) {
+            const resumeButton = this._createSaveButton('Resume', () => {
+                this._hideOverlay();
+                this.gameInstance.resumeGame();
+            });
+            resumeButton.classList.add('resume');
+            this.savePanel.appendChild(resumeButton);
+        }
+
+        for (const slotId of saveManager.getSlotIds()) {
+            const info = saveManager.getSlotInfo(slotId);
+            const row = document.createElement('div');
+            row.classList.add('save-slot');
+
+            const label = document.createElement('span');
+            label.classList.add('save-slot-label');
+            label.textContent = info.isEmpty
+                ? `Slot ${slotId}: empty`
+                : `Slot ${slotId}: wave ${info.waveNumber} (${new Date(info.savedAt).toLocaleString()})`;
+            row.appendChild(label);
+
+            if (canSave) {
+                row.appendChild(this._createSaveButton('Save', () => saveManager.saveToSlot(slotId)));
+            }
+            if (!info.isEmpty) {
+                row.appendChild(this._createSaveButton('Load', () => this._resumeFromSave(saveManager.loadFromSlot(slotId))));
+                row.appendChild(this._createSaveButton('Export', () => saveManager.exportToFile(slotId)));
             }
+            this.savePanel.appendChild(row);
+        }
 
-                if (this.gameInstance.backgroundMusic) {
-                    if (!this.gameInstance.isMusicPlaying) {
-                        const playPromise = this.gameInstance.backgroundMusic.play();
-                      if (playPromise !== undefined) {
-                            playPromise.then(() => { this.gameInstance.isMusicPlaying = true; })
-                                     .catch(error => { console.error("Background music play failed:", error); });
-                        } else {
-                            this.gameInstance.isMusicPlaying = true;
-                        }
-                    }
-                    this.gameInstance.backgroundMusic.volume = 1.0;
-                } else {
-                    console.warn("Cannot control music: gameInstance.backgroundMusic is null.");
+        if (this.importSaveInput) {
+            const importButton = this._createSaveButton('Import save file…', () => this.importSaveInput.click());
+            this.savePanel.appendChild(importButton);
+        }
+
+        // Replays: export the run just played, or watch one from a file
+        const replayManager = this.gameInstance.replayManager;
+        if (replayManager && !replayManager.isReplaying && replayManager.getRecording()) {
+            this.savePanel.appendChild(this._createSaveButton('Export replay', () => replayManager.exportRecording()));
+        }
+        if (replayManager && this.importReplayInput) {
+            this.savePanel.appendChild(this._createSaveButton('Watch replay file…', () => this.importReplayInput.click()));
+        }
+    }
+
+    /**
+     * Shows the popup with the given title and a fresh save panel.
+     * @param {string} title - Popup title.
+     */
+    _showMenuOverlay(title) {
+        this._showDifficultySelect(title);
+        // MODIFIED: A difficulty click would reset the run in progress, so pausing only offers resume/save/load
+        if (this.gameInstance.canSave()) {
+            this.popupButtons?.classList.add('hidden');
+        }
+        this._renderSavePanel();
+        this.overlay.classList.remove('hidden');
+    }
+
+    _createSaveButton(text, onClick) {
+        const button = document.createElement('button');
+        button.classList.add('save-button');
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Waits for a save to be restored, then closes the popup and continues the game.
+     * @param {Promise<boolean>} restorePromise - From SaveManager.loadFromSlot() or importFromFile().
+     */
+    async _resumeFromSave(restorePromise) {
+        const restored = await restorePromise;
+        if (!restored) {
+            this.popupTitle.textContent = 'Could not load save';
+            this._renderSavePanel();
+            return;
+        }
+        this._startBackgroundMusic();
+        this._hideOverlay();
+        this.gameInstance.resumeGame();
+    }
+    // --- END ADDED ---
+
+    // --- ADDED: Replay controls ---
+    _setupReplayControls() {
+        const replayManager = this.gameInstance.replayManager;
+        if (!replayManager || !this.replayControls) {
+            console.warn("Controller: Replay controls unavailable (ReplayManager or #replayControls missing).");
+            return;
+        }
+
+        this.replayPauseButton?.addEventListener('click', () => replayManager.togglePause());
+        this.replaySpeedButton?.addEventListener('click', () => replayManager.cycleSpeed());
+        this.replayStopButton?.addEventListener('click', () => {
+            replayManager.stopReplay();
+            this._showMenuOverlay('Choose your destiny');
+        });
+
+        replayManager.addEventListener('replayStateChanged', () => this._updateReplayControls());
+        replayManager.addEventListener('replayFinished', () => this._showMenuOverlay('Replay finished'));
+
+        if (this.importReplayInput) {
+            this.importReplayInput.addEventListener('change', async () => {
+                const file = this.importReplayInput.files?.[0];
+                this.importReplayInput.value = ''; // Allow watching the same file again
+                if (!file) return;
+
+                let replay = null;
+                try {
+                    replay = JSON.parse(await file.text());
+                } catch (error) {
+                    console.error(`Controller: Could not read replay file '${file.name}':`, error);
+                }
+                if (!replay || !await replayManager.startReplay(replay)) {
+                    this.popupTitle.textContent = 'Could not load replay';
+                    this._renderSavePanel();
+                    return;
                 }
+                this._startBackgroundMusic();
+                this._hideOverlay();
+            });
+        }
+        this._updateReplayControls();
+    }
 
-                this.gameInstance.startGame();
-                this.overlay.classList.add('hidden');
-                this.overlay.classList.remove('game-over', 'fade-in');
-                this.overlay.style.opacity = '';
+    _updateReplayControls() {
+        const replayManager = this.gameInstance.replayManager;
+        const isReplaying = !!replayManager?.isReplaying;
+        this.replayControls?.classList.toggle('hidden', !isReplaying);
+        if (this.menuButton) {
+            this.menuButton.style.display = isReplaying || !this.gameInstance.saveManager ? 'none' : '';
+        }
+        if (!isReplaying) return;
+        if (this.replayPauseButton) this.replayPauseButton.textContent = replayManager.isPaused ? 'Play' : 'Pause';
+        if (this.replaySpeedButton) this.replaySpeedButton.textContent = `${replayManager.speed}x`;
+    }
+
+    _formatReplayTime(ms) {
+        const totalSeconds = Math.floor((ms || 0) / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        return `${minutes}:${seconds}`;
+    }
+    // --- END ADDED ---
+
+    // --- ADDED: Speed controls ---
+    _setupSpeedControls() {
+        this.speedButtons?.forEach(button => {
+            button.addEventListener('click', () => {
+                const speed = Number(button.dataset.speed);
+                if (!this.gameInstance.canControlSpeed()) return;
+                if (speed === 0) {
+                    this.gameInstance.togglePause();
+                    return;
+                }
+                this.gameInstance.setGameSpeed(speed);
+                if (!this.gameInstance.isGameActive) {
+                    this.gameInstance.resumeGame(); // Picking a speed also unpauses
+                }
             });
         });
+
+        window.addEventListener('keydown', (event) => {
+            if (event.target instanceof HTMLInputElement || event.repeat) return;
+            if (!this.overlay.classList.contains('hidden')) return; // Popup menus handle their own input
+
+            if (event.code === 'Space') {
+                event.preventDefault(); // Don't scroll or re-click a focused button
+                if (this.gameInstance.replayManager?.isReplaying) {
+                    this.gameInstance.replayManager.togglePause();
+                } else {
+                    this.gameInstance.togglePause();
+                }
+            } else if (event.key === '+' || event.key === '=' || event.code === 'NumpadAdd') {
+                if (this.gameInstance.canControlSpeed()) this.gameInstance.changeGameSpeed(1);
+            } else if (event.key === '-' || event.code === 'NumpadSubtract') {
+                if (this.gameInstance.canControlSpeed()) this.gameInstance.changeGameSpeed(-1);
+            }
+        });
+    }
+
+    // --- ADDED: Send next wave early ---
+    _setupSendWaveButton() {
+        this.sendWaveButton?.addEventListener('click', () => this._callNextWaveEarly());
+
+        window.addEventListener('keydown', (event) => {
+            if (event.target instanceof HTMLInputElement || event.repeat) return;
+            if (!this.overlay.classList.contains('hidden')) return; // Popup menus handle their own input
+            if (event.code === 'KeyN') {
+                this._callNextWaveEarly();
+            }
+        });
     }
 
+    /**
+     * Only while playing (not paused, not watching a replay) and counting down to the next wave.
+     */
+    _canCallNextWaveEarly() {
+        return this.gameInstance.canControlSpeed() && this.gameInstance.isGameActive &&
+               !!this.gameInstance.waveManager?.canCallNextWaveEarly();
+    }
+
+    _callNextWaveEarly() {
+        if (!this._canCallNextWaveEarly()) return;
+        this.gameInstance.waveManager.callNextWaveEarly();
+    }
+
+    _updateSendWaveButton(currencySuffix) {
+        if (!this.sendWaveButton) return;
+        const canCall = this._canCallNextWaveEarly();
+        this.sendWaveButton.classList.toggle('hidden', !canCall);
+        if (!canCall) return;
+
+        const bonus = this.gameInstance.waveManager.getEarlyCallBonus();
+        const buttonText = bonus > 0 ? `Send now (+${bonus}${currencySuffix})` : 'Send now';
+        if (this.sendWaveButton.textContent !== buttonText) {
+            this.sendWaveButton.textContent = buttonText;
+        }
+    }
+    // --- END ADDED ---
+
+    /**
+     * Shows the speed controls while a game is in progress and highlights the current speed (or pause).
+     */
+    _updateSpeedControls() {
+        if (!this.speedControls) return;
+        const canControlSpeed = this.gameInstance.canControlSpeed();
+        this.speedControls.classList.toggle('hidden', !canControlSpeed);
+        if (!canControlSpeed) return;
+
+        const activeSpeed = this.gameInstance.isGameActive ? this.gameInstance.gameSpeed : 0;
+        this.speedButtons.forEach(button => {
+            button.classList.toggle('active', Number(button.dataset.speed) === activeSpeed);
+        });
+    }
+    // --- END ADDED ---
+
+    // --- ADDED: Campaign victory ---
+    _setupVictoryListener() {
+        const waveManager = this.gameInstance.waveManager;
+        if (!waveManager) return;
+        waveManager.addEventListener('victory', () => {
+            // Game has already frozen itself (Game.startVictorySequence)
+            this._showDifficultySelect('Victory!');
+            this._renderResults(this.gameInstance.getResults());
+            this._renderSavePanel();
+            this.overlay.classList.remove('hidden');
+        });
+    }
+
+    /**
+     * Fills the results panel: waves cleared, base HP left, funds and kills.
+     * @param {object} results - From Game.getResults().
+     */
+    _renderResults(results) {
+        if (!this.resultsPanel) return;
+        const currencySuffix = this.gameInstance.gameConfig?.ui?.currencySuffix || 'G';
+        const rows = [
+            ['Waves cleared', results.maxWaves ? `${results.wavesCleared} / ${results.maxWaves}` : `${results.wavesCleared}`],
+            ['Base HP left', `${Math.round(results.baseHp)} / ${Math.round(results.baseMaxHp)}`],
+            ['Funds', `${Math.round(results.funds)}${currencySuffix}`],
+            ['Kills', `${results.kills}`]
+        ];
+        this.resultsPanel.innerHTML = '';
+        for (const [label, value] of rows) {
+            const labelElement = document.createElement('span');
+            labelElement.classList.add('results-label');
+            labelElement.textContent = label;
+            const valueElement = document.createElement('span');
+            valueElement.classList.add('results-value');
+            valueElement.textContent = value;
+            this.resultsPanel.append(labelElement, valueElement);
+        }
+    }
+    // --- END ADDED ---
+
     _setupGameOverListener() {
         if (this.gameInstance.base) {
             this.gameInstance.base.addEventListener('gameOver', () => {
                 this.gameInstance.startGameOverSequence();
-                this.popupTitle.textContent = 'Try again?';
+                this._showDifficultySelect('Try again?');
+                this._renderSavePanel();
                 this.overlay.classList.add('game-over');
                 this.overlay.style.opacity = '0';
                 this.overlay.classList.remove('hidden');
@@ -163,6 +798,9 @@ class Controller {
             if (!isPlacingDefence || !selectedDefenceType || !placementPreviewPos) {
                 return; // Not placing, no type selected, or no position known
             }
+            if (this.gameInstance.replayManager?.isReplaying) {
+                return; // Replays only play back recorded placements
+            }
 
             // Check validity directly using the game instance and current mouse position
             const isValidClick = this.gameInstance.isPositionValidForPlacement(placementPreviewPos);
@@ -300,17 +938,41 @@ class Controller {
 
         // Update Wave Info Display
         let waveText = '';
-        if (this.gameInstance.waveManager.isFinished) {
+        const maxWaves = this.gameInstance.waveManager.getMaxWaves();
+        if (this.gameInstance.waveManager.isVictory) {
+            waveText = "Victory!";
+        } else if (this.gameInstance.waveManager.isFinished) {
             waveText = "All Waves Complete!";
         } else if (this.gameInstance.waveManager.timeUntilNextWave > 0) {
             const seconds = Math.ceil(this.gameInstance.waveManager.timeUntilNextWave / 1000);
             waveText = `Next wave in ${seconds}s`;
         } else if (this.gameInstance.waveManager.currentWaveNumber > 0) {
-            waveText = `Wave ${this.gameInstance.waveManager.currentWaveNumber}`;
+            waveText = maxWaves
+                ? `Wave ${this.gameInstance.waveManager.currentWaveNumber} / ${maxWaves}`
+                : `Wave ${this.gameInstance.waveManager.currentWaveNumber}`;
         } else {
             waveText = "Get Ready!";
         }
         this.waveInfoDisplay.textContent = waveText;
+        this._updateSendWaveButton(currencySuffix);
+
+        // Update Replay Status (playback position)
+        const replayProgress = this.gameInstance.replayManager?.getProgress();
+        if (replayProgress && this.replayStatus) {
+            const speed = this.gameInstance.replayManager.speed;
+            this.replayStatus.textContent = `Replay ${speed}x ${this._formatReplayTime(replayProgress.time)} / ${this._formatReplayTime(replayProgress.duration)}`;
+        }
+
+        // Update Speed Controls (pause state can also change via the menu and game over)
+        this._updateSpeedControls();
+
+        // Update Seed Display (so a run can be reproduced with ?seed=)
+        if (this.seedDisplay) {
+            const seedText = `Seed ${this.gameInstance.getSeed()}`;
+            if (this.seedDisplay.textContent !== seedText) {
+                this.seedDisplay.textContent = seedText;
+            }
+        }
 
         // Update Button Affordability AND Price Text
         const currentFunds = this.gameInstance.base.currentFunds;
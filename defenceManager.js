@@ -1,7 +1,8 @@
 import DefenceEntity from './models/defender.js'; // Import the entity class
 import * as PIXI from 'pixi.js';
 import { Texture, Rectangle } from 'pixi.js';
-import { processSpritesheet } from './utils/dataLoaders.js'; // Corrected path
+import { processSpritesheet, loadJson } from './utils/dataLoaders.js'; // Corrected path
+import { GAME_EVENTS } from './gameEventBus.js';
 
 /**
  * Compares two definition objects to see if relevant source fields have changed.
@@ -24,7 +25,7 @@ function haveDefsChanged(newDef, currentDef) {
     // Compare stats object - field by field
     const newStats = newDef.stats || {};
     const currentStats = currentDef.stats || {};
-    const statsFields = ['attackRate', 'attackStrength', 'attackRange']; // Add other relevant base stats
+    const statsFields = ['attackRate', 'attackStrength', 'attackRange', 'damageType']; // Add other relevant base stats
     // Check fields present in new stats
     for (const field of statsFields) {
         if (newStats[field] !== undefined && newStats[field] !== currentStats[field]) {
@@ -106,11 +107,7 @@ export default class DefenceManager extends EventTarget {
 
     async loadDefinitions(dataPath = this.dataPath) { // Renamed from load for clarity
         try {
-            const response = await fetch(dataPath);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const data = await response.json();
+            const data = await loadJson(dataPath);
             
             // Process and store definitions, perhaps indexed by ID
             if (Array.isArray(data)) {
@@ -119,8 +116,8 @@ export default class DefenceManager extends EventTarget {
                         this.defenceDefinitions[def.id] = { ...def }; // Store a copy
                         const currentDef = this.defenceDefinitions[def.id];
 
-                        // Load and process spritesheet if sprite info exists
-                        if (currentDef.sprite && currentDef.sprite.path && 
+                        // Load and process spritesheet if sprite info exists (never when headless)
+                        if (!this.game.headless && currentDef.sprite && currentDef.sprite.path && 
                             typeof currentDef.sprite.frameWidth === 'number' &&
                             typeof currentDef.sprite.frameHeight === 'number' &&
                             typeof currentDef.sprite.totalFrames === 'number' &&
@@ -149,7 +146,7 @@ export default class DefenceManager extends EventTarget {
                 if (typeof data === 'object' && data !== null) {
                     for (const defId in data) {
                         const def = data[defId];
-                        if (def.id && def.sprite && def.sprite.path && 
+                        if (!this.game.headless && def.id && def.sprite && def.sprite.path && 
                             typeof def.sprite.frameWidth === 'number' &&
                             typeof def.sprite.frameHeight === 'number' &&
                             typeof def.sprite.totalFrames === 'number' &&
@@ -254,6 +251,24 @@ export default class DefenceManager extends EventTarget {
         }
         
         // Create and add the defence
+        const newDefence = this._addDefenceEntity(defenceId, definition, position);
+        this.game.replayManager?.recordAction('placeDefence', { defenceId, x: position.x, y: position.y }); // ADDED: For replays
+        this.game.events?.emit(GAME_EVENTS.DEFENCE_PLACED, { defence: newDefence, cost });
+
+        //console.log(`DefenceManager: Placed ${defenceId} at (${position.x}, ${position.y}). Total defences: ${this.activeDefences.length}`);
+        return newDefence; // Return the created instance
+    }
+
+    /**
+     * Creates a DefenceEntity, registers its grid position with the StrikeManager and adds it to the stage.
+     * Does not charge for it (see placeDefence).
+     * @param {string} defenceId - Defence type ID.
+     * @param {object} definition - The loaded definition for the type.
+     * @param {{x: number, y: number}} position - World position.
+     * @returns {DefenceEntity} The new defence.
+     * @private
+     */
+    _addDefenceEntity(defenceId, definition, position) {
         const newDefence = new DefenceEntity(defenceId, definition, position, definition.pixiTextures, this.game); // NEW: Pass pixiTextures
 
         // --- ADDED: Calculate and store grid coordinates for StrikeManager ---
@@ -274,13 +289,12 @@ export default class DefenceManager extends EventTarget {
             if (this.game && this.game.app && this.game.app.stage) {
                 this.game.groundLayer.addChild(newDefence.pixiContainer); // MODIFIED: Add to groundLayer
                 // console.log(`DefenceManager: Added pixiContainer for ${newDefence.id} to stage.`);
-            } else {
+            } else if (!this.game.headless) {
                 console.error(`DefenceManager: Cannot add pixiContainer for ${newDefence.id} to stage. Game, app, or stage is missing.`);
             }
         }
 
-        //console.log(`DefenceManager: Placed ${defenceId} at (${position.x}, ${position.y}). Total defences: ${this.activeDefences.length}`);
-        return newDefence; // Return the created instance
+        return newDefence;
     }
 
     update(timestamp, deltaTime) {
@@ -298,11 +312,12 @@ export default class DefenceManager extends EventTarget {
         let removedCount = 0;
         this.activeDefences = this.activeDefences.filter(defence => {
             if (defence.isDestroyed) {
+                this.game.events?.emit(GAME_EVENTS.DEFENCE_DESTROYED, { defence, cause: defence.destroyedBy ?? null });
                 // PixiJS Cleanup for destroyed defender
                 if (defence.pixiContainer) {
                     if (this.game && this.game.app && this.game.app.stage) {
                         this.game.app.stage.removeChild(defence.pixiContainer);
-                    } else {
+                    } else if (!this.game.headless) {
                         console.warn(`DefenceManager: Could not remove pixiContainer for ${defence.id}, game/app/stage missing.`);
                     }
                 }
@@ -490,7 +505,7 @@ export default class DefenceManager extends EventTarget {
         const w = this.game.getWearParameter(); 
 
         const L = this.game.getTotalPathLength(); // Assumes game instance has this method
-        const enemyDefinitions = this.game.enemyManager?.getEnemyDefinitions(); // Use optional chaining
+        const enemyDefinitions = this.game.enemyManager?.getRegularEnemyDefinitions(); // Use optional chaining. Bosses aren't part of the wave mix
         let costs;
         try {
              costs = await this.game.priceManager.calculateAllCosts(); // Get unrounded costs
@@ -762,6 +777,36 @@ export default class DefenceManager extends EventTarget {
         }
     }
 
+    // --- ADDED: Save/resume support ---
+    /**
+     * Captures every active defence for a save game.
+     * @returns {{defences: object[]}} Serializable state.
+     */
+    serializeState() {
+        return {
+            defences: this.activeDefences
+                .filter(defence => !defence.isDestroyed)
+                .map(defence => defence.serializeState())
+        };
+    }
+
+    /**
+     * Recreates the saved defences (free of charge). Expects resetForNewGame() to have run first.
+     * @param {object} state - State from serializeState().
+     */
+    restoreState(state) {
+        for (const savedDefence of state?.defences || []) {
+            const definition = this.defenceDefinitions[savedDefence.id];
+            if (!definition) {
+                console.warn(`DefenceManager.restoreState: Unknown defence ID '${savedDefence.id}' in save. Skipping.`);
+                continue;
+            }
+            const defence = this._addDefenceEntity(savedDefence.id, definition, { x: savedDefence.x, y: savedDefence.y });
+            defence.restoreState(savedDefence);
+        }
+    }
+    // --- END ADDED ---
+
     updateGlobalWearStatus(isEnabled) {
         const newStatus = !!isEnabled; // Ensure boolean
         if (this.wearGloballyEnabled !== newStatus) {
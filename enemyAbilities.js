@@ -0,0 +1,163 @@
+/**
+ * Special enemy abilities, configured per enemy in enemies.json under `abilities`. Enemy carries
+ * out the healer and armored abilities; EnemyManager spawns the brood when an enemy dies.
+ *
+ * | Ability   | Parameters                                         | Behaviour                                                 |
+ * |-----------|----------------------------------------------------|-----------------------------------------------------------|
+ * | `brood`   | spawnId, count                                     | When killed, spawns `count` spawnId enemies where it died |
+ * | `healer`  | healPerSecond, radius, expectedAllies (default 1)  | Heals every other enemy within radius                     |
+ * | `armored` | armor, resistances: { damageType: fraction }       | Each hit loses `armor`, then the damage type's resistance |
+ *
+ * - healPerSecond and armor are in unscaled HP (like attackStrength) and are scaled by the healed or
+ *   hit enemy's healthScaleFactor, so they weigh the same against every enemy type.
+ * - A hit keeps at least MIN_HIT_DAMAGE_FRACTION of its damage after armor. Armor doesn't apply to
+ *   damage over time (burn, poison), but resistances do; their damage types are 'burn' and 'poison'.
+ * - Defences name their damage type in defences.json (`stats.damageType`); strikes are 'explosive'.
+ *
+ * Difficulty (w = hp * speed, which also sets bounty) uses an effective hp that prices the abilities in:
+ * - armored: hp / (1 - average resistance) * d / (d - armor), where the average and d (the mean hit
+ *   damage) are taken over the defences that deal damage.
+ * - healer: + healPerSecond * (L / speed) * expectedAllies, the healing it can give while crossing the path.
+ * - brood: the spawned enemies' difficulty is added to the parent's, but the parent's bounty covers only
+ *   its own share, as the spawned enemies pay their own bounty when killed.
+ */
+
+export const ENEMY_ABILITIES = Object.freeze({
+    BROOD: 'brood',
+    HEALER: 'healer',
+    ARMORED: 'armored'
+});
+
+export const MIN_HIT_DAMAGE_FRACTION = 0.1;
+const MAX_RESISTANCE = 0.9;
+
+/**
+ * Checks an enemy definition's abilities block and fills in defaults.
+ * @param {object} enemyDef - Raw definition from enemies.json.
+ * @param {object} enemyDefinitions - All definitions by ID, to check brood spawn IDs.
+ * @returns {object|null} The valid abilities by name, or null if there are none.
+ */
+export function parseEnemyAbilities(enemyDef, enemyDefinitions) {
+    const config = enemyDef?.abilities;
+    if (!config) return null;
+    const abilities = {};
+
+    for (const [name, params] of Object.entries(config)) {
+        switch (name) {
+            case ENEMY_ABILITIES.BROOD: {
+                const count = Math.floor(params?.count ?? 0);
+                if (!params?.spawnId || !enemyDefinitions[params.spawnId] || count < 1) {
+                    console.warn(`Enemy abilities (${enemyDef.id}): 'brood' needs a known spawnId and a count of at least 1. Ignored.`);
+                    break;
+                }
+                abilities.brood = { spawnId: params.spawnId, count };
+                break;
+            }
+            case ENEMY_ABILITIES.HEALER:
+                if (!(params?.healPerSecond > 0) || !(params?.radius > 0)) {
+                    console.warn(`Enemy abilities (${enemyDef.id}): 'healer' needs a positive healPerSecond and radius. Ignored.`);
+                    break;
+                }
+                abilities.healer = {
+                    healPerSecond: params.healPerSecond,
+                    radius: params.radius,
+                    expectedAllies: Math.max(0, params.expectedAllies ?? 1)
+                };
+                break;
+            case ENEMY_ABILITIES.ARMORED: {
+                const resistances = {};
+                for (const [damageType, fraction] of Object.entries(params?.resistances || {})) {
+                    if (typeof fraction === 'number') {
+                        resistances[damageType] = Math.min(MAX_RESISTANCE, Math.max(0, fraction));
+                    }
+                }
+                abilities.armored = { armor: Math.max(0, params?.armor ?? 0), resistances };
+                break;
+            }
+            default:
+                console.warn(`Enemy abilities (${enemyDef.id}): Unknown ability '${name}'. Ignored.`);
+        }
+    }
+    return Object.keys(abilities).length > 0 ? abilities : null;
+}
+
+/**
+ * Damage an armored enemy actually takes from a hit.
+ * @param {number} damage - Scaled damage before armor.
+ * @param {{armor: number, resistances: object}} armored - The enemy's armored ability.
+ * @param {object} hit
+ * @param {number} hit.healthScaleFactor - The enemy's scale factor (armor is in unscaled HP).
+ * @param {string|null} [hit.damageType] - Damage type, for resistances.
+ * @param {boolean} [hit.overTime] - Damage over time ignores flat armor.
+ * @returns {number} Reduced damage.
+ */
+export function applyArmor(damage, armored, { healthScaleFactor, damageType = null, overTime = false }) {
+    let reducedDamage = damage;
+    if (!overTime && armored.armor > 0) {
+        reducedDamage = Math.max(damage - armored.armor * healthScaleFactor, damage * MIN_HIT_DAMAGE_FRACTION);
+    }
+    const resistance = damageType ? (armored.resistances[damageType] ?? 0) : 0;
+    return reducedDamage * (1 - resistance);
+}
+
+/**
+ * @param {object} enemyDef - Definition with stats and (parsed) abilities.
+ * @param {object} context
+ * @param {number|null} context.pathLength - Expected path length L (px).
+ * @param {Array<{damageType: string|null, attackStrength: number}>} context.damagingDefences - Defences that deal damage.
+ * @returns {number} hp including the healer and armored abilities (unscaled).
+ */
+export function calculateEffectiveHp(enemyDef, { pathLength, damagingDefences }) {
+    const hp = enemyDef.stats?.hp || 0;
+    const speed = enemyDef.stats?.speed || 0;
+    const { healer, armored } = enemyDef.abilities || {};
+    let effectiveHp = hp;
+
+    if (armored && damagingDefences.length > 0) {
+        const averageResistance = damagingDefences.reduce((sum, defence) =>
+            sum + (armored.resistances[defence.damageType] ?? 0), 0) / damagingDefences.length;
+        const meanHitDamage = damagingDefences.reduce((sum, defence) => sum + defence.attackStrength, 0) / damagingDefences.length;
+        const damagePerHitAfterArmor = Math.max(meanHitDamage - armored.armor, meanHitDamage * MIN_HIT_DAMAGE_FRACTION);
+        effectiveHp *= (meanHitDamage / damagePerHitAfterArmor) / (1 - averageResistance);
+    }
+    if (healer && speed > 0 && pathLength > 0) {
+        effectiveHp += healer.healPerSecond * (pathLength / speed) * healer.expectedAllies;
+    }
+    return effectiveHp;
+}
+
+/**
+ * Drops the brood ability from enemies whose spawns would eventually spawn them again (an endless brood).
+ * @param {object} enemyDefinitions - All definitions by ID (with parsed abilities). Modified in place.
+ */
+export function removeBroodLoops(enemyDefinitions) {
+    for (const [enemyId, enemyDef] of Object.entries(enemyDefinitions)) {
+        const seen = new Set([enemyId]);
+        let spawnId = enemyDef.abilities?.brood?.spawnId;
+        while (spawnId && !seen.has(spawnId)) {
+            seen.add(spawnId);
+            spawnId = enemyDefinitions[spawnId]?.abilities?.brood?.spawnId;
+        }
+        if (spawnId === enemyId) {
+            console.warn(`Enemy abilities (${enemyId}): Brood spawns lead back to ${enemyId}. Brood ignored.`);
+            delete enemyDef.abilities.brood;
+        }
+    }
+}
+
+/**
+ * Difficulty weight w of one enemy, including everything its brood spawns.
+ * @param {string} enemyId - Enemy type ID.
+ * @param {object} enemyDefinitions - All definitions by ID (with parsed abilities, see removeBroodLoops()).
+ * @param {object} context - See calculateEffectiveHp().
+ * @returns {{ ownDifficulty: number, difficulty: number }} ownDifficulty is the enemy's own effective hp * speed
+ *   (what its bounty pays for); difficulty adds its brood.
+ */
+export function calculateEnemyDifficulty(enemyId, enemyDefinitions, context) {
+    const enemyDef = enemyDefinitions[enemyId];
+    if (!enemyDef) return { ownDifficulty: 0, difficulty: 0 };
+    const ownDifficulty = calculateEffectiveHp(enemyDef, context) * (enemyDef.stats?.speed || 0);
+    const brood = enemyDef.abilities?.brood;
+    const broodDifficulty = brood ? brood.count * calculateEnemyDifficulty(brood.spawnId, enemyDefinitions, context).difficulty : 0;
+    return { ownDifficulty, difficulty: ownDifficulty + broodDifficulty };
+}
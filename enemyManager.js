@@ -1,13 +1,10 @@
 import Enemy from './models/enemy.js'; // EnemyManager needs to know about Enemy
 import * as PIXI from 'pixi.js'; // Import PIXI
-import { processSpritesheet } from './utils/dataLoaders.js'; // <-- IMPORT THE UTILITY
+import { processSpritesheet, loadJson } from './utils/dataLoaders.js'; // <-- IMPORT THE UTILITY
+import { GAME_EVENTS } from './gameEventBus.js';
+import { parseEnemyAbilities, removeBroodLoops, calculateEnemyDifficulty } from './enemyAbilities.js';
 
-// Helper function for distance calculation
-function distanceBetween(point1, point2) {
-    const dx = point2.x - point1.x;
-    const dy = point2.y - point1.y;
-    return Math.sqrt(dx * dx + dy * dy);
-}
+const BROOD_SPACING = 12; // px along the path between brood spawns
 
 export default class EnemyManager {
     // Note: pathDataPath parameter now expects the path to the PRE-COMPUTED extended path CSV
@@ -47,6 +44,7 @@ export default class EnemyManager {
         this.commonSpiderConfig = null; // Common configuration for spider animations
         this.allProcessedTextureArrays = []; // Stores processed texture arrays for animations
         this.cachedCriticalZoneEntryWaypointIndex = -1; // <-- ADDED for Duress Cooldown
+        this.cachedCriticalZoneEntryWaypointIndexByPath = new Map(); // ADDED: Lane ID -> index, see cacheCriticalWaypointIndex()
     }
 
     /**
@@ -58,7 +56,8 @@ export default class EnemyManager {
         this.activeEnemies = [];    // Tracks currently active enemy instances
         
         // Death tracking data
-        this.currentWaveDeathDistances = []; // Tracks death distances for current wave
+        this.deathDistancesByWave = new Map(); // Wave number -> death distances of that wave's enemies
+        this.killCount = 0; // ADDED: Enemies killed this game (for the results screen)
         this.lastDeathInfo = { 
             distance: null, 
             originalX: null, 
@@ -70,14 +69,12 @@ export default class EnemyManager {
     async load() {
         try {
             // Load common spider configuration first
-            const spiderConfigResponse = await fetch('assets/spiderConfig.json');
-            if (!spiderConfigResponse.ok) {
-                throw new Error(`HTTP error! status: ${spiderConfigResponse.status} while fetching spiderConfig.json`);
-            }
-            this.commonSpiderConfig = await spiderConfigResponse.json();
+            this.commonSpiderConfig = await loadJson('assets/spiderConfig.json');
 
-            // Load and process common hit spritesheet
-            if (this.commonSpiderConfig && this.commonSpiderConfig.hit && this.commonSpiderConfig.hit.commonHitSpriteSheetPath && this.commonSpiderConfig.display) {
+            // Load and process common hit spritesheet (headless games have no textures)
+            if (this.game.headless) {
+                this.allProcessedTextureArrays[0] = [];
+            } else if (this.commonSpiderConfig && this.commonSpiderConfig.hit && this.commonSpiderConfig.hit.commonHitSpriteSheetPath && this.commonSpiderConfig.display) {
                 this.allProcessedTextureArrays[0] = await processSpritesheet( // <-- USE IMPORTED FUNCTION
                     this.commonSpiderConfig.hit.commonHitSpriteSheetPath,
                     this.commonSpiderConfig.display
@@ -88,9 +85,7 @@ export default class EnemyManager {
             }
 
             // Load main enemy definitions
-            const response = await fetch(this.enemyDataPath);
-             if (!response.ok) throw new Error(`HTTP error! status: ${response.status} loading ${this.enemyDataPath}`);
-            this.enemyDefinitions = await response.json();
+            this.enemyDefinitions = await loadJson(this.enemyDataPath);
             //console.log("EnemyManager: Loaded enemy definitions:", this.enemyDefinitions);
 
             // Load sprites and store definitions
@@ -119,7 +114,9 @@ export default class EnemyManager {
                     };
 
                     // Process normal animation frames for this enemy
-                    if (enemyDef.sprite && enemyDef.sprite.path && this.commonSpiderConfig && this.commonSpiderConfig.display) {
+                    if (this.game.headless) {
+                        // No textures to process when running headless
+                    } else if (enemyDef.sprite && enemyDef.sprite.path && this.commonSpiderConfig && this.commonSpiderConfig.display) {
                         const normalTextures = await processSpritesheet( // <-- USE IMPORTED FUNCTION
                             enemyDef.sprite.path,
                             this.commonSpiderConfig.display
@@ -146,6 +143,8 @@ export default class EnemyManager {
                 }
             }
 
+            this._parseAbilities(); // ADDED: Special abilities (see enemyAbilities.js)
+
             // --- Check if Game has loaded path data (optional sanity check) --- 
             if (this.game && this.game.getExtendedPathData().length === 0) {
                 console.warn("EnemyManager Load: Game instance does not seem to have loaded path coordinate data yet.");
@@ -174,7 +173,15 @@ export default class EnemyManager {
     }
 
     // Factory method to create enemies
-    async createEnemy(enemyTypeId) { // Make async to handle awaiting sprite promise
+    /**
+     * @param {string} enemyTypeId - Enemy type to create.
+     * @param {number|null} [waveNumber=null] - The wave spawning it, so its death is counted for that wave.
+     * @param {string|null} [pathId=null] - The lane to walk (see Game.getPath); null for the level's first lane.
+     * @param {number} [startDistance=0] - Where on the lane to start, in px along the extended path (brood spawns).
+     * @returns {Enemy|null} The enemy (already active), or null on failure. Synchronous, so callers can
+     *   emit ENEMY_SPAWNED within the simulation step that spawned it.
+     */
+    createEnemy(enemyTypeId, waveNumber = null, pathId = null, startDistance = 0) {
         if (!this.isLoaded) {
             console.error(`EnemyManager: Cannot create enemy ${enemyTypeId}. Manager not loaded yet.`);
             return null;
@@ -194,17 +201,23 @@ export default class EnemyManager {
         }
 
         const normalTextureIndex = enemyDef.normalTextureArrayIndex;
-        if (normalTextureIndex === undefined || normalTextureIndex < 1 || !this.allProcessedTextureArrays[normalTextureIndex]) {
+        if (!this.game.headless && (normalTextureIndex === undefined || normalTextureIndex < 1 || !this.allProcessedTextureArrays[normalTextureIndex])) {
             console.error(`EnemyManager: Invalid normalTextureArrayIndex or missing textures for ${enemyTypeId} at index ${normalTextureIndex}.`);
             return null;
         }
-        const normalTextures = this.allProcessedTextureArrays[normalTextureIndex];
+        const normalTextures = this.game.headless ? [] : this.allProcessedTextureArrays[normalTextureIndex]; // Headless enemies have no sprite
         
         const frameCfg = this.commonSpiderConfig.display;
         const specificScale = enemyDef.display?.scale || 1; // Use enemy-specific scale
 
          // Get path data from game
-         const extendedPathData = this.game.getExtendedPathData();
+         // MODIFIED: From the enemy's lane
+         let path = this.game.getPath(pathId);
+         if (!path && pathId !== null) {
+             console.warn(`EnemyManager: Unknown path '${pathId}' for enemy ${enemyTypeId}. Using the first path.`);
+             path = this.game.getPath();
+         }
+         const extendedPathData = path?.extendedPathData;
          if (!extendedPathData || extendedPathData.length === 0) {
              console.error(`EnemyManager: Cannot create enemy ${enemyTypeId}. Extended path is missing from game instance.`);
              return null;
@@ -243,15 +256,27 @@ export default class EnemyManager {
             attackRate: enemyDef.stats.attackRate,
             attackStrength: enemyDef.stats.attackStrength,
             attackRange: enemyDef.stats.attackRange,
+            targetsDefenders: enemyDef.targetsDefenders === true,
+            defenderDamage: enemyDef.stats.defenderDamage,
+            abilities: enemyDef.abilities ?? null,
             // flashDuration: null, // Deferring hit flash logic
             flashDuration: this.commonSpiderConfig.hit.enemyFlashDurationMs, // Pass it, Enemy.js might store it
             base: this.base,
             hitTextures: this.allProcessedTextureArrays[0], // Pass the common hit textures
             game: this.game, // <-- Pass game instance
             strikeManager: this.game.strikeManager, // <-- MODIFIED: Directly use game.strikeManager
-            criticalZoneEntryWaypointIndex: this.cachedCriticalZoneEntryWaypointIndex
+            criticalZoneEntryWaypointIndex: this.cachedCriticalZoneEntryWaypointIndexByPath.get(path.id) ?? this.cachedCriticalZoneEntryWaypointIndex,
+            waveNumber: waveNumber,
+            pathId: path.id,
+            isBoss: this.isBoss(enemyTypeId),
+            tint: enemyDef.display.tint ?? null,
+            healthBarStyle: enemyDef.display.healthBar ?? null
         });
 
+        if (startDistance > 0) {
+            enemy.placeAtDistance(startDistance);
+        }
+
         this.activeEnemies.push(enemy);
 
         // --- Add PixiJS container to stage if sprite exists ---
@@ -276,42 +301,27 @@ export default class EnemyManager {
             enemy.update(timestamp, deltaTime, this.base); 
             if (enemy.isDead) {
                 // --- Record Death Distance --- 
-                let totalDistance = 0;
-                const targetIndex = enemy.targetWaypointIndex;
+                // MODIFIED: The enemy tracks its own path progress (see Enemy.distanceTravelled)
+                const totalDistance = enemy.getDistanceTravelled();
                 const finalX = enemy.x;
                 const finalY = enemy.y;
-                // Get path data from game
-                const extendedPathData = this.game.getExtendedPathData();
-                if (targetIndex > 0 && targetIndex <= extendedPathData.length) { 
-                    // Get metrics from Game instance
-                    const cumulativeDistances = this.game.getCumulativeDistances();
-                    if (!cumulativeDistances || cumulativeDistances.length === 0) {
-                        console.error("Death Calc: Cannot get cumulative distances from game.");
-                        totalDistance = 0;
-                    } else {
-                        const prevIndex = targetIndex - 1;
-                        const p1 = extendedPathData[prevIndex]; // Use path from game
-                        const cumulativeDistanceToP1 = (prevIndex === 0) ? 0 : (cumulativeDistances[prevIndex - 1] || 0);
-                        const distanceOnSegment = distanceBetween(p1, { x: finalX, y: finalY }); 
-                        totalDistance = cumulativeDistanceToP1 + distanceOnSegment;
-                    }
-                } else { 
-                    if (extendedPathData && extendedPathData.length > 0) {
-                        const p1 = extendedPathData[0]; // Use path from game
-                        totalDistance = distanceBetween(p1, { x: finalX, y: finalY }); 
-                    } else {
-                         totalDistance = 0; 
-                    }
-                }
-                this.currentWaveDeathDistances.push(totalDistance);
+                this._recordDeathDistance(enemy, totalDistance);
+                this.killCount++;
                 this.lastDeathInfo = { distance: totalDistance, originalX: finalX, originalY: finalY };
                 // --------------------------- 
+                this.game.events?.emit(GAME_EVENTS.ENEMY_KILLED, {
+                    enemy,
+                    killer: enemy.killedBy,
+                    distance: totalDistance,
+                    bounty: enemy.bounty
+                });
+                this._spawnBrood(enemy); // ADDED: Brood spiders hatch where the parent died
 
                 // --- PixiJS Cleanup for Dead Enemy ---
                 if (enemy.pixiContainer) { // Check if it was a Pixi-rendered enemy
                     if (this.game && this.game.app && this.game.app.stage) {
                         this.game.app.stage.removeChild(enemy.pixiContainer);
-                    } else {
+                    } else if (!this.game.headless) {
                         console.warn(`EnemyManager: Could not remove pixiContainer for ${enemy.id}, game/app/stage missing.`);
                     }
                     enemy.destroyPixiObjects(); // Call enemy's own Pixi cleanup
@@ -325,6 +335,16 @@ export default class EnemyManager {
         }
     }
 
+    /**
+     * Syncs enemy sprites with the simulation. Called once per rendered frame.
+     * @param {number} alpha - Interpolation factor between the previous and latest simulation step.
+     */
+    render(alpha) {
+        for (const enemy of this.activeEnemies) {
+            enemy.render(alpha);
+        }
+    }
+
     // Apply parameter updates (no changes needed)
     applyParameterUpdates(newEnemyDefinitions) { 
        if (!this.isLoaded) {
@@ -384,6 +404,7 @@ export default class EnemyManager {
             // Update the definition in this.enemyTypes
             this.enemyTypes[enemyId] = updatedDefinitionBase;
         });
+        this._parseAbilities(); // ADDED: New definitions carry the raw abilities blocks
 
         // --- ADDED: Recalculate all scaled values AFTER processing all updates ---
         this.calculateAndStoreScaledValues();
@@ -429,6 +450,30 @@ export default class EnemyManager {
         }
         return this.enemyTypes;
     }
+
+    // --- ADDED: Boss enemies ---
+    /**
+     * Enemy definitions that take part in regular waves, i.e. without bosses (`"boss": true` in
+     * enemies.json). Bosses only spawn in boss waves, so they are left out of the wave mix and of
+     * the pricing and wear maths that average over it.
+     * @returns {object} Enemy ID -> definition.
+     */
+    getRegularEnemyDefinitions() {
+        const regularDefinitions = {};
+        for (const [id, enemyDef] of Object.entries(this.getEnemyDefinitions())) {
+            if (!enemyDef.boss) regularDefinitions[id] = enemyDef;
+        }
+        return regularDefinitions;
+    }
+
+    /**
+     * @param {string} enemyTypeId - Enemy type ID.
+     * @returns {boolean} True if the type is a boss.
+     */
+    isBoss(enemyTypeId) {
+        return !!this.enemyTypes[enemyTypeId]?.boss;
+    }
+    // --- END ADDED ---
     
     // --- ADDED: Getter for minimum speed ---
     /**
@@ -444,7 +489,7 @@ export default class EnemyManager {
         let minSpeed = Infinity;
         let foundValid = false;
 
-        for (const id in this.enemyTypes) {
+        for (const id in this.getRegularEnemyDefinitions()) { // Bosses only appear in boss waves
             const enemyDef = this.enemyTypes[id];
             if (enemyDef?.stats?.speed && enemyDef.stats.speed > 0) {
                 minSpeed = Math.min(minSpeed, enemyDef.stats.speed);
@@ -461,20 +506,97 @@ export default class EnemyManager {
     }
     // --- END ADDED ---
 
-    // Method to calculate average death distance (uses EXTENDED path distances now)
-    calculateAverageDeathDistance() {
-        if (this.currentWaveDeathDistances.length === 0) {
-            //console.log("EnemyManager: No enemy deaths recorded for the last wave.");
-            this.currentWaveDeathDistances = [];
+    // --- ADDED: Special abilities (see enemyAbilities.js) ---
+    /**
+     * Replaces each definition's abilities block with its validated form (null without abilities).
+     * @private
+     */
+    _parseAbilities() {
+        for (const enemyDef of Object.values(this.enemyTypes)) {
+            enemyDef.abilities = parseEnemyAbilities(enemyDef, this.enemyTypes);
+        }
+        removeBroodLoops(this.enemyTypes);
+    }
+
+    /**
+     * @returns {object} What ability pricing depends on: the expected path length and the defences that deal damage.
+     * @private
+     */
+    _getDifficultyContext() {
+        const defenceDefinitions = this.game.defenceManager?.getDefinitions() || [];
+        return {
+            pathLength: this.game.getTotalPathLength(),
+            damagingDefences: (Array.isArray(defenceDefinitions) ? defenceDefinitions : Object.values(defenceDefinitions))
+                .filter(def => def?.stats?.attackStrength > 0)
+                .map(def => ({ damageType: def.stats.damageType ?? null, attackStrength: def.stats.attackStrength }))
+        };
+    }
+
+    /**
+     * Difficulty weight w (hp * speed) of an enemy type, with its abilities priced in and including its brood.
+     * WaveManager composes waves and sets their bounty with it.
+     * @param {string} enemyTypeId - Enemy type ID.
+     * @returns {number} The difficulty, or 0 for an unknown type.
+     */
+    getEnemyDifficulty(enemyTypeId) {
+        return calculateEnemyDifficulty(enemyTypeId, this.enemyTypes, this._getDifficultyContext()).difficulty;
+    }
+
+    /**
+     * Spawns a killed enemy's brood on its lane, spread out just behind where it died. They belong to its wave.
+     * @param {Enemy} parent - The enemy that was killed.
+     * @private
+     */
+    _spawnBrood(parent) {
+        const brood = parent.abilities?.brood;
+        if (!brood) return;
+        const parentDistance = parent.getDistanceTravelled();
+        for (let i = 0; i < brood.count; i++) {
+            const startDistance = Math.max(0, parentDistance - i * BROOD_SPACING);
+            const enemy = this.createEnemy(brood.spawnId, parent.waveNumber, parent.pathId, startDistance);
+            if (enemy) this.game.events?.emit(GAME_EVENTS.ENEMY_SPAWNED, { enemy, waveNumber: parent.waveNumber });
+        }
+    }
+    // --- END ADDED ---
+
+    // --- MODIFIED: Death distances are kept per wave, so overlapping waves don't mix ---
+    _recordDeathDistance(enemy, distance) {
+        // Enemies not spawned by a wave (e.g. from old saves) count for the wave in progress
+        const waveNumber = enemy.waveNumber ?? this.game.waveManager?.currentWaveNumber ?? 0;
+        if (!this.deathDistancesByWave.has(waveNumber)) {
+            this.deathDistancesByWave.set(waveNumber, []);
+        }
+        this.deathDistancesByWave.get(waveNumber).push(distance);
+    }
+
+    /**
+     * Calculates the average death distance of a wave's enemies (along the EXTENDED path) and
+     * clears that wave's records.
+     * @param {number} waveNumber - The wave that was cleared.
+     * @returns {number} The average distance in pixels, or 0 if none of its enemies died.
+     */
+    calculateAverageDeathDistance(waveNumber) {
+        const deathDistances = this.deathDistancesByWave.get(waveNumber) || [];
+        this.deathDistancesByWave.delete(waveNumber);
+        if (deathDistances.length === 0) {
+            //console.log(`EnemyManager: No enemy deaths recorded for wave ${waveNumber}.`);
             return 0; 
         }
-        const sumOfDistances = this.currentWaveDeathDistances.reduce((sum, dist) => sum + dist, 0);
-        const averageDistance = sumOfDistances / this.currentWaveDeathDistances.length;
-        //console.log(`EnemyManager: Average death distance for last wave: ${averageDistance.toFixed(2)} pixels (based on ${this.currentWaveDeathDistances.length} deaths, EXTENDED path).`);
-        this.currentWaveDeathDistances = [];
+        const sumOfDistances = deathDistances.reduce((sum, dist) => sum + dist, 0);
+        const averageDistance = sumOfDistances / deathDistances.length;
+        //console.log(`EnemyManager: Average death distance for wave ${waveNumber}: ${averageDistance.toFixed(2)} pixels (based on ${deathDistances.length} deaths, EXTENDED path).`);
         return averageDistance;
     }
 
+    /**
+     * @param {number} waveNumber - The wave number.
+     * @returns {number} How many of the wave's enemies are still alive.
+     */
+    getActiveEnemyCountForWave(waveNumber) {
+        return this.activeEnemies.filter(enemy => !enemy.isDead && enemy.waveNumber === waveNumber).length;
+    }
+    // --- END MODIFIED ---
+
     // Getter for last death info
     getLastDeathInfo() { 
         return this.lastDeathInfo; 
@@ -482,14 +604,16 @@ export default class EnemyManager {
 
     /**
      * Calculates the (x, y) coordinates at a specific distance along the EXTENDED path.
+     * @param {number} targetDistance - Distance from the path start.
+     * @param {string|null} [pathId=null] - Lane to measure along; null for the first lane.
      */
-    getPointAtDistance(targetDistance) {
+    getPointAtDistance(targetDistance, pathId = null) {
         // DELEGATE to Game instance's method
         if (!this.game || typeof this.game.getPointAtDistance !== 'function') {
             console.error("EnemyManager: Cannot call getPointAtDistance, game instance or method missing.");
             return null;
         }
-        return this.game.getPointAtDistance(targetDistance);
+        return this.game.getPointAtDistance(targetDistance, pathId);
     }
 
     // --- ADDED: New method to calculate and store scaled values ---
@@ -517,6 +641,7 @@ export default class EnemyManager {
         }
 
         //console.log(`EnemyManager: Calculating scaled values with alpha=${alpha.toFixed(4)}, beta=${beta}`);
+        const difficultyContext = this._getDifficultyContext();
 
         for (const enemyId in this.enemyTypes) {
             const enemyDef = this.enemyTypes[enemyId];
@@ -536,7 +661,9 @@ export default class EnemyManager {
 
             const healthScaleFactor = (speed > 0) ? (beta * speed) / alpha : 0;
             const scaledMaxHp = (originalHp > 0 && healthScaleFactor > 0) ? healthScaleFactor * originalHp : 0;
-            const bounty = (originalHp > 0 && speed > 0) ? Math.round(beta * speed * originalHp) : 0;
+            // MODIFIED: Bounty pays for the enemy's own difficulty including its abilities (its brood pays its own)
+            const { ownDifficulty } = calculateEnemyDifficulty(enemyId, this.enemyTypes, difficultyContext);
+            const bounty = (originalHp > 0 && speed > 0) ? Math.round(beta * ownDifficulty) : 0;
 
             // Update the stored definition
             this.enemyTypes[enemyId] = {
@@ -575,10 +702,54 @@ export default class EnemyManager {
         this.calculateAndStoreScaledValues();
     }
 
+    // --- ADDED: Save/resume support ---
+    /**
+     * Captures active enemies and the death records of uncleared waves for a save game.
+     * @returns {object} Serializable state.
+     */
+    serializeState() {
+        return {
+            enemies: this.activeEnemies
+                .filter(enemy => !enemy.isDead)
+                .map(enemy => enemy.serializeState()),
+            deathDistancesByWave: Array.from(this.deathDistancesByWave, ([waveNumber, distances]) => ({ waveNumber, distances: [...distances] })),
+            lastDeathInfo: { ...this.lastDeathInfo },
+            killCount: this.killCount
+        };
+    }
+
+    /**
+     * Recreates the saved enemies at their saved path progress. Expects resetForNewGame() to have run first.
+     * @param {object} state - State from serializeState().
+     */
+    restoreState(state) {
+        if (!state) return;
+        for (const savedEnemy of state.enemies || []) {
+            const enemy = this.createEnemy(savedEnemy.id, null, savedEnemy.pathId ?? null);
+            if (!enemy) {
+                console.warn(`EnemyManager.restoreState: Could not recreate enemy '${savedEnemy.id}' from save. Skipping.`);
+                continue;
+            }
+            enemy.restoreState(savedEnemy);
+        }
+        this.deathDistancesByWave = new Map((state.deathDistancesByWave || []).map(entry => [entry.waveNumber, [...entry.distances]]));
+        if (state.lastDeathInfo) {
+            this.lastDeathInfo = { ...state.lastDeathInfo };
+        }
+        this.killCount = state.killCount ?? 0;
+    }
+    // --- END ADDED ---
+
     // --- ADDED: Method to cache critical waypoint index from Game.js ---
-    cacheCriticalWaypointIndex(index) {
+    // MODIFIED: Per lane; the index without a lane ID (or of the first lane) is the fallback for unknown lanes
+    cacheCriticalWaypointIndex(index, pathId = null) {
         if (typeof index === 'number') {
-            this.cachedCriticalZoneEntryWaypointIndex = index;
+            if (pathId === null || this.cachedCriticalZoneEntryWaypointIndexByPath.size === 0) {
+                this.cachedCriticalZoneEntryWaypointIndex = index;
+            }
+            if (pathId !== null) {
+                this.cachedCriticalZoneEntryWaypointIndexByPath.set(pathId, index);
+            }
             // console.log(`EnemyManager: Cached Critical Zone Entry Waypoint Index: ${index}`);
         } else {
             console.warn(`EnemyManager: Invalid index (${index}) received for cacheCriticalWaypointIndex.`);
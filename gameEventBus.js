@@ -0,0 +1,89 @@
+/**
+ * Central bus for gameplay events, owned by the Game (game.events). Telemetry, sound and UI
+ * features subscribe here instead of reaching into the managers. The bus outlives level
+ * switches, so subscriptions stay valid when the managers are rebuilt.
+ *
+ * Every event's detail also carries `gameTime` (ms, see Game.getGameTime()).
+ *
+ * | Event              | Detail                                                            |
+ * |--------------------|-------------------------------------------------------------------|
+ * | `enemySpawned`     | `{ enemy, waveNumber }`                                           |
+ * | `enemyKilled`      | `{ enemy, killer, distance, bounty }`                             |
+ * | `enemyReachedBase` | `{ enemy }`                                                       |
+ * | `baseDamaged`      | `{ enemy, damage }`                                               |
+ * | `defencePlaced`    | `{ defence, cost }`                                               |
+ * | `defenceDestroyed` | `{ defence, cause }`                                              |
+ * | `waveStarted`      | `{ waveNumber }`                                                  |
+ * | `waveCleared`      | `{ waveNumber, durationMs }`                                      |
+ * | `victory`          | `{ wavesCleared }`                                                |
+ * | `strikeLaunched`   | `{ target }`                                                      |
+ * | `strikeLanded`     | `{ target, damageDealtR }`                                        |
+ *
+ * - `killer` is the Defender or Striker that dealt the final hit (null if unknown).
+ * - `distance` is how far along the path the enemy died, in pixels.
+ * - `damage` is the HP the base actually lost (less than the attack when the base had less left).
+ * - `cause` is 'wear', 'bomb' or 'enemy' (an enemy with targetsDefenders).
+ * - `target` is the strike's impact point `{ x, y }`; `damageDealtR` the defender damage it dealt.
+ *
+ * Events are emitted synchronously from inside the simulation step, so handlers must not change
+ * game state (that would break replays). Handler errors are caught and logged.
+ */
+export const GAME_EVENTS = Object.freeze({
+    ENEMY_SPAWNED: 'enemySpawned',
+    ENEMY_KILLED: 'enemyKilled',
+    ENEMY_REACHED_BASE: 'enemyReachedBase',
+    BASE_DAMAGED: 'baseDamaged',
+    DEFENCE_PLACED: 'defencePlaced',
+    DEFENCE_DESTROYED: 'defenceDestroyed',
+    WAVE_STARTED: 'waveStarted',
+    WAVE_CLEARED: 'waveCleared',
+    VICTORY: 'victory',
+    STRIKE_LAUNCHED: 'strikeLaunched',
+    STRIKE_LANDED: 'strikeLanded'
+});
+
+const KNOWN_EVENTS = new Set(Object.values(GAME_EVENTS));
+
+export default class GameEventBus extends EventTarget {
+    constructor(game) {
+        super(); // Call EventTarget constructor
+        if (!game) {
+            throw new Error("GameEventBus requires a valid Game instance.");
+        }
+        this.game = game;
+    }
+
+    /**
+     * Dispatches a gameplay event, stamped with the current game time.
+     * @param {string} type - One of GAME_EVENTS.
+     * @param {object} [detail] - Event data (see the table above).
+     */
+    emit(type, detail = {}) {
+        if (!KNOWN_EVENTS.has(type)) {
+            console.error(`GameEventBus: Unknown event '${type}'. Add it to GAME_EVENTS first.`);
+            return;
+        }
+        this.dispatchEvent(new CustomEvent(type, { detail: { ...detail, gameTime: this.game.getGameTime() } }));
+    }
+
+    /**
+     * Subscribes to a gameplay event.
+     * @param {string} type - One of GAME_EVENTS.
+     * @param {function(object): void} handler - Receives the event detail.
+     * @returns {function(): void} Call to unsubscribe.
+     */
+    on(type, handler) {
+        if (!KNOWN_EVENTS.has(type)) {
+            console.warn(`GameEventBus: Subscribing to unknown event '${type}'. It will never fire.`);
+        }
+        const listener = (event) => {
+            try {
+                handler(event.detail);
+            } catch (error) {
+                console.error(`Error in '${type}' event handler:`, error);
+            }
+        };
+        this.addEventListener(type, listener);
+        return () => this.removeEventListener(type, listener);
+    }
+}
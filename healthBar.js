@@ -9,8 +9,9 @@ export default class HealthBarDisplay {
      * @param {PIXI.Container} containerParent - The PIXI.Container to add the health bar graphics to.
      * @param {PIXI.Sprite} spriteToFollow - The PIXI.Sprite whose position/dimensions the health bar should follow.
      * @param {Game} gameInstance - The game instance for accessing configuration.
+     * @param {object} [styleOverrides=null] - Per-enemy overrides of the gameConfig ui.healthBar settings (e.g. a boss bar).
      */
-    constructor(containerParent, spriteToFollow, gameInstance) {
+    constructor(containerParent, spriteToFollow, gameInstance, styleOverrides = null) {
         this.containerParent = containerParent; // Renamed from parentVisual for clarity
         this.spriteToFollow = spriteToFollow;
         this.gameInstance = gameInstance;
@@ -24,7 +25,8 @@ export default class HealthBarDisplay {
             return; 
         }
 
-        const rawConfig = this.gameInstance.getHealthBarConfig();
+        const baseConfig = this.gameInstance.getHealthBarConfig();
+        const rawConfig = baseConfig ? { ...baseConfig, ...styleOverrides } : null;
 
         if (rawConfig) {
             this.healthBarConfig = {
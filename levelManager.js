@@ -0,0 +1,117 @@
+import { loadJson } from './utils/dataLoaders.js';
+
+/**
+ * Reads the level manifest (assets/levels.json) and tracks which levels the player has unlocked.
+ *
+ * Manifest entries: { id, name, file, thumbnail, unlock }. `unlock` is optional; when present,
+ * e.g. { "level": 1, "wave": 10 }, the level unlocks once wave 10 has been reached on level 1.
+ * Progress (best wave per level) is kept in localStorage.
+ */
+const DEFAULT_MANIFEST_PATH = 'assets/levels.json';
+const PROGRESS_STORAGE_KEY = 'spuders.progress';
+
+export default class LevelManager {
+    constructor(game, manifestPath = DEFAULT_MANIFEST_PATH) {
+        if (!game) {
+            throw new Error("LevelManager requires a valid Game instance.");
+        }
+        this.game = game;
+        this.manifestPath = manifestPath;
+        this.levels = [];
+        this.progress = {}; // Level ID -> best wave reached
+        this.isLoaded = false;
+    }
+
+    async load() {
+        try {
+            const manifest = await loadJson(this.manifestPath);
+            this.levels = (manifest.levels || []).filter(level => {
+                if (level?.id === undefined || !level.file) {
+                    console.error("LevelManager: Skipping invalid level entry (needs id and file):", level);
+                    return false;
+                }
+                return true;
+            });
+        } catch (error) {
+            console.error(`LevelManager: Failed to load level manifest from ${this.manifestPath}:`, error);
+        }
+        if (this.levels.length === 0) {
+            console.warn("LevelManager: No levels in manifest. Falling back to level 1.");
+            this.levels = [{ id: 1, name: 'Level 1', file: 'assets/level1.json' }];
+        }
+        this.progress = this._readProgress();
+        this.isLoaded = true;
+    }
+
+    /**
+     * @returns {object[]} The manifest entries, in manifest order.
+     */
+    getLevels() {
+        return this.levels;
+    }
+
+    /**
+     * Finds a manifest entry. IDs are compared as strings so ?level=2 matches id 2.
+     * @param {number|string} levelId - The level ID.
+     * @returns {object|null} The manifest entry, or null if unknown.
+     */
+    getLevel(levelId) {
+        return this.levels.find(level => String(level.id) === String(levelId)) ?? null;
+    }
+
+    /**
+     * @returns {number|string} The ID of the first level in the manifest.
+     */
+    getDefaultLevelId() {
+        return this.levels[0].id;
+    }
+
+    /**
+     * @param {number|string} levelId - The level ID.
+     * @returns {boolean} True if the level exists and its unlock rule (if any) is met.
+     */
+    isUnlocked(levelId) {
+        const level = this.getLevel(levelId);
+        if (!level) return false;
+        if (!level.unlock) return true;
+        return this.getBestWave(level.unlock.level) >= (level.unlock.wave ?? 1);
+    }
+
+    /**
+     * @param {number|string} levelId - The level ID.
+     * @returns {number} The highest wave reached on the level (0 if never played).
+     */
+    getBestWave(levelId) {
+        return this.progress[String(levelId)] ?? 0;
+    }
+
+    /**
+     * Records the wave reached on a level, keeping the best.
+     * @param {number|string} levelId - The level ID.
+     * @param {number} waveNumber - The wave just reached.
+     */
+    recordWaveReached(levelId, waveNumber) {
+        if (waveNumber <= this.getBestWave(levelId)) return;
+        this.progress[String(levelId)] = waveNumber;
+        this._writeProgress();
+    }
+
+    _readProgress() {
+        if (this.game.headless) return {};
+        try {
+            return JSON.parse(window.localStorage.getItem(PROGRESS_STORAGE_KEY)) || {};
+        } catch (error) {
+            console.error("LevelManager: Could not read level progress:", error);
+            return {};
+        }
+    }
+
+    _writeProgress() {
+        if (this.game.headless) return;
+        try {
+            window.localStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify(this.progress));
+        } catch (error) {
+            console.error("LevelManager: Could not save level progress:", error);
+        }
+    }
+}
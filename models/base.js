@@ -1,3 +1,4 @@
+import { loadJson } from '../utils/dataLoaders.js';
 import { Assets, Texture, Sprite, Rectangle, Container, TextureSource } from 'pixi.js';
 import HealthBarDisplay from '../healthBar.js'; // Import the HealthBarDisplay class
 
@@ -14,11 +15,7 @@ export default class Base extends EventTarget {
     static async createFromPath(path, gameInstance) {
         //console.log(`Base: Attempting to create from path: ${path}`);
         // 1. Fetch the configuration data
-        const response = await fetch(path);
-        if (!response.ok) {
-            throw new Error(`Base.createFromPath: Failed to fetch base config from ${path}: ${response.statusText}`);
-        }
-        const config = await response.json();
+        const config = await loadJson(path);
         //console.log(`Base: Config fetched successfully.`);
 
         // 2. Instantiate the base using the fetched config, passing gameInstance
@@ -89,6 +86,11 @@ export default class Base extends EventTarget {
      * Loads the necessary assets for the base (e.g., sprite sheet).
      */
     async loadAssets() {
+        // Headless games have no renderer; the base is just its stats
+        if (this.game?.headless) {
+            this.isLoaded = true;
+            return;
+        }
         // No sprite path check needed due to constructor validation
         try {
             const loadedAsset = await Assets.load(this.spritePath);
@@ -309,6 +311,33 @@ export default class Base extends EventTarget {
         }
     }
 
+    // --- ADDED: Save/resume support ---
+    /**
+     * Captures the base's runtime state for a save game.
+     * @returns {{currentFunds: number, currentHp: number}} Serializable state.
+     */
+    serializeState() {
+        return {
+            currentFunds: this.currentFunds,
+            currentHp: this.currentHp
+        };
+    }
+
+    /**
+     * Restores runtime state captured by serializeState(). Expects reset() to have run first.
+     * @param {object} state - State from serializeState().
+     */
+    restoreState(state) {
+        if (!state) return;
+        this.currentFunds = state.currentFunds ?? this.currentFunds;
+        this.currentHp = Math.min(state.currentHp ?? this.currentHp, this.maxHp);
+        this.dispatchEvent(new CustomEvent('fundsUpdated'));
+        if (this.healthBarDisplay) {
+            this.healthBarDisplay.update(this.currentHp, this.maxHp);
+        }
+    }
+    // --- END ADDED ---
+
     /**
      * Call this method when the Base instance is being permanently removed from the game.
      */
@@ -1,5 +1,6 @@
 import * as PIXI from 'pixi.js';
 import HealthBarDisplay from '../healthBar.js'; // <-- ADD IMPORT
+import { STATUS_EFFECT_TYPES } from './statusEffects.js';
 
 export default class DefenceEntity {
     constructor(id, definition, position, pixiTextures, gameInstance) {
@@ -20,6 +21,7 @@ export default class DefenceEntity {
         this.attackRange = definition.stats.attackRange;
         this.attackRate = definition.stats.attackRate; // ms between attacks
         this.attackStrength = definition.stats.attackStrength;
+        this.damageType = definition.stats.damageType ?? null; // ADDED: Checked against armored enemies' resistances
         
         // --- Wear properties --- UPDATED to use HP
         this.wearEnabled = definition.stats.wearEnabled ?? false;
@@ -27,6 +29,7 @@ export default class DefenceEntity {
         this.hp = this.maxHp; // Initialize current HP
         this.wearDecrement = this.wearEnabled ? (definition.stats.wearDecrement ?? 0) : 0; // Get calculated decrement
         this.isDestroyed = false;
+        this.destroyedBy = null; // 'wear', 'bomb' or 'enemy', set by hit()
         // --- End Wear properties ---
         
         this.healthBarDisplay = null; // <-- Initialize healthBarDisplay
@@ -59,7 +62,7 @@ export default class DefenceEntity {
             } else {
                 console.warn(`Defender ${this.id}: Initial texture index out of bounds. Sprite not created.`);
             }
-        } else {
+        } else if (!this.game?.headless) {
             console.warn(`Defender ${this.id}: No sprite frames provided. Sprite not created.`);
         }
         
@@ -77,7 +80,7 @@ export default class DefenceEntity {
         // --- End HealthBarDisplay Initialization ---
 
         // --- Generalized Effects Setup --- 
-        this.effects = definition.effects; // Store the whole effects object (or undefined)
+        this.effects = definition.effects; // Store the whole effects object (or undefined); effects.onHit lists status effects applied by each attack
         this.puddles = []; // Array for splash effects like puddles {x, y, createdAt, duration, radius, speedFactor}
         this.effectRadius = this.effects?.radius; // Optional chaining
         this.effectDuration = this.effects?.duration;
@@ -96,9 +99,10 @@ export default class DefenceEntity {
     /**
      * Applies damage to the defender, updates its health, and flags it as destroyed if HP reaches zero.
      * @param {number} damageAmount - The amount of damage to apply.
+     * @param {string|null} [cause] - 'wear', 'bomb' or 'enemy'; recorded as destroyedBy if this hit destroys the defender.
      * @returns {number} The actual amount of damage taken, capped by current health.
      */
-    hit(damageAmount) {
+    hit(damageAmount, cause = null) {
         if (this.isDestroyed) {
             return 0; // Cannot damage a destroyed entity
         }
@@ -109,6 +113,7 @@ export default class DefenceEntity {
 
         if (this.hp <= 0) {
             this.isDestroyed = true;
+            this.destroyedBy = cause;
         }
 
         return actualDamageTaken;
@@ -167,10 +172,11 @@ export default class DefenceEntity {
         
         // --- Handle attack types based on properties --- 
         // Check if this defence creates a splash/puddle effect (has necessary effect props)
-        if (this.effects && this.effectRadius !== undefined && this.effectDuration !== undefined && this.effectSpeedFactor !== undefined && this.game && this.game.app) {
+        if (this.effects && this.effectRadius !== undefined && this.effectDuration !== undefined && this.effectSpeedFactor !== undefined && this.game && (this.game.app || this.game.headless)) {
+            const puddlePos = this._predictTargetPosition(this.target, this.effects.leadTime) || enemyPos; // MODIFIED: Aim ahead of the target
             const puddleMetadata = {
-                x: enemyPos.x,
-                y: enemyPos.y,
+                x: puddlePos.x,
+                y: puddlePos.y,
                 createdAt: timestamp,
                 duration: this.effectDuration, // from this.effects.duration set in constructor/applyUpdate
                 radius: this.effectRadius,   // from this.effects.radius
@@ -178,19 +184,9 @@ export default class DefenceEntity {
                 color: this.effects.color || 'rgba(0, 255, 255, 0.3)' // from this.effects.color or default
             };
 
-            const graphics = new PIXI.Graphics();
-            const pixiColor = new PIXI.Color(puddleMetadata.color);
-            
-            graphics.circle(0, 0, puddleMetadata.radius);
-            graphics.fill({ color: pixiColor.toNumber(), alpha: pixiColor.alpha });
-            graphics.x = puddleMetadata.x;
-            graphics.y = puddleMetadata.y;
-            
-            this.game.puddleLayer.addChild(graphics); // MODIFIED: Add to puddleLayer
-            
             this.puddles.push({
                 metadata: puddleMetadata,
-                graphics: graphics
+                graphics: this._createPuddleGraphics(puddleMetadata)
             });
         }
         
@@ -202,7 +198,7 @@ export default class DefenceEntity {
                 // Calculate scaled damage using the enemy's own scale factor
                 const scaledAttackDamage = this.attackStrength * targetEnemy.healthScaleFactor;
                 // Call hit with the correctly scaled damage value
-                targetEnemy.hit(scaledAttackDamage);
+                targetEnemy.hit(scaledAttackDamage, this);
             } else {
                 // Log a warning if target or scale factor is missing (shouldn't happen if target is valid)
                 console.warn(`Defender ${this.id}: Could not apply damage. Target invalid or missing healthScaleFactor.`);
@@ -211,13 +207,104 @@ export default class DefenceEntity {
 
             // --- Deplete Wear (HP) --- 
             if (this.wearEnabled && this.wearDecrement > 0) {
-                this.hit(this.wearDecrement); // Call the new hit method for wear
+                this.hit(this.wearDecrement, 'wear'); // Call the new hit method for wear
             }
             // --- End Deplete Wear ---
         }
+
+        // --- ADDED: On-hit status effects (effects.onHit: [{ type, duration, magnitude?, maxStacks? }]) ---
+        if (Array.isArray(this.effects?.onHit)) {
+            for (const effect of this.effects.onHit) {
+                this.target.applyStatusEffect({ ...effect, source: this });
+            }
+        }
+        // --- END ADDED ---
         return true;
     }
 
+    // --- ADDED: Lead targeting ---
+    /**
+     * Predicts where an enemy will be after a lead time, assuming it keeps following its lane at its
+     * current (possibly slowed) speed.
+     * @param {Enemy} enemy - The target.
+     * @param {number} [leadTime] - Lead time in ms (effects.leadTime); none or 0 aims at the enemy itself.
+     * @returns {{x: number, y: number}|null} The predicted point, or null to aim at the current position.
+     * @private
+     */
+    _predictTargetPosition(enemy, leadTime) {
+        if (!(leadTime > 0) || typeof this.game.getPointAtDistance !== 'function') {
+            return null;
+        }
+        const leadDistance = enemy.getEffectiveSpeed() * (leadTime / 1000);
+        if (leadDistance <= 0) {
+            return null;
+        }
+        return this.game.getPointAtDistance(enemy.getDistanceTravelled() + leadDistance, enemy.pathId);
+    }
+    // --- END ADDED ---
+
+    /**
+     * Draws a puddle on the puddle layer.
+     * @param {object} puddleMetadata - Puddle position, radius and color.
+     * @returns {PIXI.Graphics|null} The graphics object, or null when headless (nothing to draw).
+     * @private
+     */
+    _createPuddleGraphics(puddleMetadata) {
+        // Headless puddles keep their metadata (for the slow effect) but have nothing to draw
+        if (this.game.headless) {
+            return null;
+        }
+        const graphics = new PIXI.Graphics();
+        const pixiColor = new PIXI.Color(puddleMetadata.color);
+
+        graphics.circle(0, 0, puddleMetadata.radius);
+        graphics.fill({ color: pixiColor.toNumber(), alpha: pixiColor.alpha });
+        graphics.x = puddleMetadata.x;
+        graphics.y = puddleMetadata.y;
+
+        this.game.puddleLayer.addChild(graphics); // MODIFIED: Add to puddleLayer
+        return graphics;
+    }
+
+    // --- ADDED: Save/resume support ---
+    /**
+     * Captures this defence's runtime state for a save game.
+     * @returns {object} Serializable state (type, position, wear and active puddles).
+     */
+    serializeState() {
+        return {
+            id: this.id,
+            x: this.x,
+            y: this.y,
+            hp: this.hp,
+            maxHp: this.maxHp,
+            wearEnabled: this.wearEnabled,
+            wearDecrement: this.wearDecrement,
+            lastAttackTime: this.lastAttackTime,
+            puddles: this.puddles.map(puddle => ({ ...puddle.metadata }))
+        };
+    }
+
+    /**
+     * Restores runtime state captured by serializeState() onto a freshly created defence.
+     * @param {object} state - State from serializeState().
+     */
+    restoreState(state) {
+        this.wearEnabled = state.wearEnabled ?? this.wearEnabled;
+        this.maxHp = state.maxHp ?? this.maxHp;
+        this.hp = Math.min(state.hp ?? this.hp, this.maxHp);
+        this.wearDecrement = state.wearDecrement ?? this.wearDecrement;
+        this.lastAttackTime = state.lastAttackTime ?? 0;
+        this.puddles = (state.puddles || []).map(metadata => ({
+            metadata: { ...metadata },
+            graphics: this._createPuddleGraphics(metadata)
+        }));
+        if (this.healthBarDisplay) {
+            this.healthBarDisplay.update(this.hp, this.maxHp);
+        }
+    }
+    // --- END ADDED ---
+
     update(timestamp, deltaTime, enemies) {
         // --- Check for Wear Destruction --- 
         // REMOVED: if (this.wearEnabled && this.remainingHits <= 0 && !this.isDestroyed) {
@@ -325,31 +412,32 @@ export default class DefenceEntity {
             this.pixiContainer.zIndex = effectiveY;
         }
         
-        // Reset speed modifier for all potentially affected enemies before checking puddles.
-        enemies.forEach(enemy => {
-            if (!enemy.isDead && enemy.speedModifier !== 1.0) { // Only reset if currently slowed and alive
-                enemy.resetSpeedModifier();
-            }
-        });
-
         // Puddle lifecycle management and enemy effect application
         if (this.effects) { 
             this.puddles = this.puddles.filter(puddle => {
                 const alive = timestamp - puddle.metadata.createdAt < puddle.metadata.duration;
                 if (!alive) {
-                    if (this.game && this.game.puddleLayer) { // MODIFIED: Check for puddleLayer
-                        this.game.puddleLayer.removeChild(puddle.graphics); // MODIFIED: Remove from puddleLayer
+                    if (puddle.graphics) {
+                        if (this.game && this.game.puddleLayer) { // MODIFIED: Check for puddleLayer
+                            this.game.puddleLayer.removeChild(puddle.graphics); // MODIFIED: Remove from puddleLayer
+                        }
+                        puddle.graphics.destroy();
                     }
-                    puddle.graphics.destroy();
                     return false;
                 }
-                // Apply slow effect to enemies in range of this puddle
+                // Slow enemies in range of this puddle for their next step (re-applied every step they stay in it).
+                // MODIFIED: Applied as a status effect, so overlapping puddles of several towers no longer reset each other
                 enemies.forEach(enemy => {
-                    if (!enemy.isDead) {
+                    if (!enemy.isDead && deltaTime > 0) { // A frozen step (time scale 0) has nothing to slow
                         const enemyHitboxRadius = enemy.hitboxRadius || 0; // Get enemy's hitbox radius, default to 0 if undefined
                         const effectiveRangeThreshold = puddle.metadata.radius + enemyHitboxRadius;
                         if (enemy.isInRange(puddle.metadata, effectiveRangeThreshold)) {
-                            enemy.setSlow(puddle.metadata.speedFactor); 
+                            enemy.applyStatusEffect({
+                                type: STATUS_EFFECT_TYPES.SLOW,
+                                magnitude: puddle.metadata.speedFactor,
+                                duration: deltaTime,
+                                source: this
+                            });
                         }
                     }
                 });
@@ -366,6 +454,7 @@ export default class DefenceEntity {
         this.attackRange = updatedDef.stats.attackRange ?? this.attackRange;
         this.attackRate = updatedDef.stats.attackRate ?? this.attackRate;
         this.attackStrength = updatedDef.stats.attackStrength ?? this.attackStrength;
+        this.damageType = updatedDef.stats.damageType ?? null;
         
         // --- Update Wear/HP Properties --- 
         const wasEnabled = this.wearEnabled;
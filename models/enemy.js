@@ -1,5 +1,10 @@
 import * as PIXI from 'pixi.js'; // Import PIXI
 import HealthBarDisplay from '../healthBar.js'; // <-- ADD IMPORT
+import { GAME_EVENTS } from '../gameEventBus.js';
+import StatusEffects from './statusEffects.js';
+import { applyArmor } from '../enemyAbilities.js';
+
+const DEFAULT_DEFENDER_DAMAGE = 0.25; // Four attacks destroy a defender
 
 export default class Enemy {
     constructor({
@@ -11,17 +16,28 @@ export default class Enemy {
         bounty, // This is the pre-calculated bounty
         healthScaleFactor, // The factor used for scaling
         speed, attackRate, attackStrength, attackRange,
+        targetsDefenders = false, // ADDED: Stops to attack defenders in attackRange (enemies.json targetsDefenders)
+        defenderDamage = DEFAULT_DEFENDER_DAMAGE, // ADDED: Share of a defender's max HP each attack removes
+        abilities = null, // ADDED: Parsed special abilities (see enemyAbilities.js)
         flashDuration, // This is the hit flash duration in MS
         base,
         pixiTextures, // Add pixiTextures to destructured parameters
         hitTextures, // Add hitTextures for the flash effect
         game, // <-- ADD game TO DESTRUCTURED PARAMETERS
         strikeManager, // <-- ADDED for Duress Cooldown
-        criticalZoneEntryWaypointIndex // <-- ADDED for Duress Cooldown
+        criticalZoneEntryWaypointIndex, // <-- ADDED for Duress Cooldown
+        waveNumber = null, // ADDED: Wave that spawned this enemy (null if not spawned by a wave)
+        pathId = null, // ADDED: Lane (Game.getPath) whose extendedPath this enemy walks
+        isBoss = false, // ADDED: Boss enemies (see EnemyManager.isBoss)
+        tint = null, // ADDED: Optional sprite tint, e.g. '#B070FF'
+        healthBarStyle = null // ADDED: Optional overrides of the gameConfig health bar style
     }) {
         // Identification
         this.id = id;
         this.name = name;
+        this.waveNumber = waveNumber;
+        this.pathId = pathId;
+        this.isBoss = isBoss;
         this.game = game; // <-- STORE THE GAME INSTANCE
         // Ensure base is provided, needed for bounty calculation
         if (!base) {
@@ -45,6 +61,10 @@ export default class Enemy {
             // The first target is the second waypoint of the extended path (index 1)
             this.targetWaypointIndex = 1; 
         }
+        // Position at the start of the current simulation step, for render interpolation
+        this.previousX = this.x;
+        this.previousY = this.y;
+        this.distanceTravelled = 0; // ADDED: Distance along the extended path (px), kept up to date by update()
         // --- End Path Setup ---
         
         // Sprite and animation
@@ -81,9 +101,14 @@ export default class Enemy {
         this.attackRate = attackRate;
         this.attackStrength = attackStrength;
         this.attackRange = attackRange;
+        this.targetsDefenders = targetsDefenders;
+        this.defenderDamage = defenderDamage;
+        this.abilities = abilities;
         
         // State
         this.isDead = false;
+        this.killedBy = null; // ADDED: Defender or Striker that dealt the final hit (see hit())
+        this.hasReachedBase = false; // ADDED: Set the first time the enemy is in range of the base
         this.isTakingDamageFlashing = false; // Renamed from isFlashing
         this.flashDurationMs = flashDuration; // Renamed from flashDuration and stores the MS for texture flash
         this.lastDamageFlashTime = 0; // Renamed from lastFlashTime
@@ -96,9 +121,9 @@ export default class Enemy {
         this.healthBarDisplay = null; // <-- INITIALIZE HEALTH BAR DISPLAY
 
         this.isAttacking = false;
-        this.targetTower = null;
+        this.targetTower = null; // Defender being attacked (targetsDefenders only)
         this.lastAttackTime = 0;
-        this.speedModifier = 1.0;
+        this.statusEffects = new StatusEffects(this); // ADDED: Slow, burn, poison, stun, armor break (see models/statusEffects.js)
         this.frameTimeAccumulator = 0; // Accumulator for animation timing
 
         // --- ADDED for Duress Cooldown ---
@@ -120,6 +145,9 @@ export default class Enemy {
             // Configure the sprite (using existing properties from constructor where applicable)
             this.pixiSprite.anchor.set(this.anchorX || 0.5, this.anchorY || 0.5); // Use existing anchors, default to 0.5 if not defined
             this.pixiSprite.scale.set(this.scale || 1); // Use existing scale, default to 1 if not defined
+            if (tint) {
+                this.pixiSprite.tint = tint; // ADDED: Lets a definition reuse another spritesheet but look distinct
+            }
             // TODO: Make animationSpeed configurable, e.g., from enemyDef.sprite.frameDuration or a new property in enemies.json
             // For now, derive a basic animation speed from frameDuration. Assuming frameDuration is in ms.
             // A common pattern: animationSpeed = 1 / (frameDuration_in_seconds * frames_per_second_of_game_ticker)
@@ -146,7 +174,7 @@ export default class Enemy {
 
             // --- Initialize HealthBarDisplay ---
             if (this.pixiSprite && this.game) { 
-                this.healthBarDisplay = new HealthBarDisplay(this.pixiContainer, this.pixiSprite, this.game);
+                this.healthBarDisplay = new HealthBarDisplay(this.pixiContainer, this.pixiSprite, this.game, healthBarStyle);
             } else {
                 this.healthBarDisplay = null; // Ensure it's null if conditions aren't met
                 console.warn(`Enemy ${this.id}: Could not initialize HealthBarDisplay. Missing pixiSprite or game instance.`);
@@ -164,6 +192,10 @@ export default class Enemy {
     
     update(timestamp, deltaTime, base) {
         if (this.isDead) return;
+
+        // Remember where this step started so render() can interpolate
+        this.previousX = this.x;
+        this.previousY = this.y;
         
         // Update generic flash effect (renamed, not texture swap)
         if (this.isTakingDamageFlashing && timestamp - this.lastDamageFlashTime >= this.flashDurationMs) {
@@ -188,6 +220,18 @@ export default class Enemy {
             }
         }
 
+        // --- ADDED: Resolve status effects once per step (may kill the enemy through damage over time) ---
+        this.statusEffects.resolve(deltaTime);
+        if (this.isDead) return;
+        const isStunned = this.statusEffects.isStunned;
+        // --- END ADDED ---
+
+        // --- ADDED: Healer ability ---
+        if (this.abilities?.healer) {
+            this._healAllies(deltaTime);
+        }
+        // --- END ADDED ---
+
         // --- Base Attack Logic --- 
         let distanceToBase = Infinity;
         if (base && !base.isDestroyed()) {
@@ -197,34 +241,53 @@ export default class Enemy {
         }
         if (distanceToBase <= this.attackRange && base && !base.isDestroyed()) {
             this.isAttacking = true; 
-            if (timestamp - this.lastAttackTime >= this.attackRate) {
+            this.targetTower = null; // The base comes first
+            if (!this.hasReachedBase) {
+                this.hasReachedBase = true;
+                this.game?.events?.emit(GAME_EVENTS.ENEMY_REACHED_BASE, { enemy: this });
+            }
+            if (!isStunned && timestamp - this.lastAttackTime >= this.attackRate) {
+                const hpBeforeAttack = base.currentHp;
                 base.takeDamage(this.attackStrength);
                 this.lastAttackTime = timestamp;
+                this.game?.events?.emit(GAME_EVENTS.BASE_DAMAGED, { enemy: this, damage: hpBeforeAttack - base.currentHp });
             }
+        } else if (this._updateDefenderTarget()) {
+            // --- ADDED: Defender attack; the enemy stands still until the defender is destroyed or out of range ---
+            this.isAttacking = true;
+            if (!isStunned && timestamp - this.lastAttackTime >= this.attackRate) {
+                // Defender HP is in earning rate units; the R lost counts towards the strike target
+                const lostR = this.targetTower.hit(this.targetTower.maxHp * this.defenderDamage, 'enemy');
+                this.game?.strikeManager?.recordNonStrikeDestructionR(lostR);
+                this.lastAttackTime = timestamp;
+            }
+            // --- END ADDED ---
         } else {
             this.isAttacking = false; 
         }
         // --- End Base Attack ---
         
-        // Move along path if not attacking and not past the final waypoint
+        // Move along path if not attacking, not stunned and not past the final waypoint
         // Uses this.waypoints which is now the extended path
-        if (!this.isAttacking && this.targetWaypointIndex < this.waypoints.length) {
+        if (!this.isAttacking && !isStunned && this.targetWaypointIndex < this.waypoints.length) {
             const target = this.waypoints[this.targetWaypointIndex];
             const dx = target.x - this.x;
             const dy = target.y - this.y;
             const distance = Math.sqrt(dx * dx + dy * dy);
-            const currentSpeed = this.speed * this.speedModifier;
+            const currentSpeed = this.speed * this.statusEffects.speedMultiplier; // MODIFIED: Slows resolved by statusEffects
             const moveDistance = currentSpeed * (deltaTime / 1000); 
             
             if (distance <= moveDistance || distance < 0.1) {
                 this.x = target.x;
                 this.y = target.y;
                 this.targetWaypointIndex++;
+                this.distanceTravelled += distance;
             } else {
                 const normX = dx / distance;
                 const normY = dy / distance;
                 this.x += normX * moveDistance;
                 this.y += normY * moveDistance;
+                this.distanceTravelled += moveDistance;
             }
         }
         
@@ -239,33 +302,87 @@ export default class Enemy {
             // Or handle multiple frame skips in a loop here if needed for very low frame rates.
         }
 
-        // --- Update PixiJS container position ---
-        if (this.pixiContainer) {
-            this.pixiContainer.x = this.x;
-            this.pixiContainer.y = this.y;
-        }
-        // --- End Update PixiJS container position ---
+        // --- MODIFIED: PixiJS container position, health bar and zIndex are now synced in render() ---
+
+        // --- ADDED: Duress Cooldown Trigger Check ---
+            if (this.targetWaypointIndex >= this.criticalZoneEntryWaypointIndex && this.criticalZoneEntryWaypointIndex !== -1) {
+                this.strikeManager.startDuressCooldown(timestamp); // Use the timestamp from the update method
+                //console.log(`Enemy ${this.id} triggered duress cooldown at waypoint ${this.targetWaypointIndex}. Critical index: ${this.criticalZoneEntryWaypointIndex}`);
+            }
+        // --- END ADDED ---
+    }
+    
+    /**
+     * Syncs the sprite with the simulation. Called once per rendered frame, after the fixed simulation steps.
+     * @param {number} alpha - Interpolation factor between the previous (0) and the latest (1) simulation step.
+     */
+    render(alpha) {
+        if (this.isDead || !this.pixiContainer) return;
+
+        // --- Interpolated PixiJS container position ---
+        this.pixiContainer.x = this.previousX + (this.x - this.previousX) * alpha;
+        this.pixiContainer.y = this.previousY + (this.y - this.previousY) * alpha;
 
         // --- Update HealthBarDisplay ---
         if (this.healthBarDisplay) {
             this.healthBarDisplay.update(this.hp, this.maxHp);
         }
-        // --- End Update HealthBarDisplay ---
 
         // Update zIndex for y-sorting
-        if (this.pixiContainer && this.pixiSprite) {
+        if (this.pixiSprite) {
             const effectiveY = this.pixiContainer.y + this.pixiSprite.height * (1 - this.pixiSprite.anchor.y);
             this.pixiContainer.zIndex = effectiveY;
         }
+    }
 
-        // --- ADDED: Duress Cooldown Trigger Check ---
-            if (this.targetWaypointIndex >= this.criticalZoneEntryWaypointIndex && this.criticalZoneEntryWaypointIndex !== -1) {
-                this.strikeManager.startDuressCooldown(timestamp); // Use the timestamp from the update method
-                //console.log(`Enemy ${this.id} triggered duress cooldown at waypoint ${this.targetWaypointIndex}. Critical index: ${this.criticalZoneEntryWaypointIndex}`);
-            }
-        // --- END ADDED ---
+    // --- ADDED: Save/resume support ---
+    /**
+     * Captures this enemy's runtime state (path progress and health) for a save game.
+     * @returns {object} Serializable state.
+     */
+    serializeState() {
+        return {
+            id: this.id,
+            x: this.x,
+            y: this.y,
+            targetWaypointIndex: this.targetWaypointIndex,
+            distanceTravelled: this.distanceTravelled,
+            hp: this.hp,
+            maxHp: this.maxHp,
+            healthScaleFactor: this.healthScaleFactor,
+            bounty: this.bounty,
+            lastAttackTime: this.lastAttackTime,
+            hasReachedBase: this.hasReachedBase,
+            waveNumber: this.waveNumber,
+            pathId: this.pathId, // Read by EnemyManager.restoreState() to recreate the enemy on its lane
+            statusEffects: this.statusEffects.serializeState()
+        };
     }
-    
+
+    /**
+     * Restores runtime state captured by serializeState() onto a freshly created enemy.
+     * Scaled values (HP, bounty) are restored as saved, so the enemy is worth what it was worth when saved.
+     * @param {object} state - State from serializeState().
+     */
+    restoreState(state) {
+        this.x = state.x ?? this.x;
+        this.y = state.y ?? this.y;
+        this.previousX = this.x;
+        this.previousY = this.y;
+        this.targetWaypointIndex = state.targetWaypointIndex ?? this.targetWaypointIndex;
+        this.distanceTravelled = state.distanceTravelled ?? this.distanceTravelled;
+        this.maxHp = state.maxHp ?? this.maxHp;
+        this.hp = state.hp ?? this.hp;
+        this.healthScaleFactor = state.healthScaleFactor ?? this.healthScaleFactor;
+        this.bounty = state.bounty ?? this.bounty;
+        this.lastAttackTime = state.lastAttackTime ?? 0;
+        this.hasReachedBase = state.hasReachedBase ?? false;
+        this.waveNumber = state.waveNumber ?? null;
+        this.statusEffects.restoreState(state.statusEffects);
+        this.render(1);
+    }
+    // --- END ADDED ---
+
     applyUpdate(updatedDef) {
         // Update basic info
         this.name = updatedDef.name; // Assume name always exists in update
@@ -288,6 +405,9 @@ export default class Enemy {
         this.attackRate = updatedDef.stats?.attackRate ?? this.attackRate;
         this.attackStrength = updatedDef.stats?.attackStrength ?? this.attackStrength;
         this.attackRange = updatedDef.stats?.attackRange ?? this.attackRange;
+        this.targetsDefenders = updatedDef.targetsDefenders === true;
+        this.defenderDamage = updatedDef.stats?.defenderDamage ?? DEFAULT_DEFENDER_DAMAGE;
+        this.abilities = updatedDef.abilities ?? null;
 
         // Update effects directly - flashDurationMs is now set at construction for hit flash
         // If there was another type of flash configured by "effects", that would be separate.
@@ -296,16 +416,28 @@ export default class Enemy {
         // this.flashDuration = updatedDef.effects?.flashDuration ?? this.flashDuration;
     }
     
-    hit(damage) {
+    /**
+     * Applies damage; kills the enemy when its HP runs out.
+     * @param {number} damage - Damage in scaled HP units (before armor and armor break).
+     * @param {object|null} [source] - The Defender or Striker dealing the damage (reported as the killer).
+     * @param {object} [options]
+     * @param {string|null} [options.damageType] - For the armored ability's resistances (default: source.damageType).
+     * @param {boolean} [options.overTime=false] - Damage over time: no hit flash and no flat armor.
+     */
+    hit(damage, source = null, { damageType = source?.damageType ?? null, overTime = false } = {}) {
         if (this.isDead) return;
-        this.hp -= damage; // Subtract damage directly (already in correct units)
+        // MODIFIED: Armored enemies shrug off part of the damage (see enemyAbilities.js)
+        if (this.abilities?.armored) {
+            damage = applyArmor(damage, this.abilities.armored, { healthScaleFactor: this.healthScaleFactor ?? 1, damageType, overTime });
+        }
+        this.hp -= damage * this.statusEffects.damageTakenMultiplier; // MODIFIED: Armor break raises damage taken
         
         // Existing generic flash logic (can be reviewed/removed later if redundant)
         this.isTakingDamageFlashing = true; 
-        this.lastDamageFlashTime = performance.now(); 
+        this.lastDamageFlashTime = this.game ? this.game.getGameTime() : 0; // Game time, compared against update's timestamp
 
         // New Hit Flash Logic (Texture Swapping)
-        if (this.pixiSprite && this.hitAnimationFrames && this.normalAnimationFrames && this.flashDurationMs > 0) {
+        if (!overTime && this.pixiSprite && this.hitAnimationFrames && this.normalAnimationFrames && this.flashDurationMs > 0) {
             this.isHitFlashing = true;
             this.hitFlashTimer = this.flashDurationMs;
 
@@ -320,6 +452,7 @@ export default class Enemy {
 
         if (this.hp <= 0) {
             this.hp = 0; // Ensure hp doesn't go negative visually
+            this.killedBy = source;
             this.die();
         }
     }
@@ -333,7 +466,7 @@ export default class Enemy {
             this.base.addFunds(this.bounty);
             // --- ADDED: Record bounty for StrikeManager (Plan III) ---
             if (this.game && this.game.strikeManager && typeof this.game.strikeManager.recordBountyEarned === 'function') {
-                this.game.strikeManager.recordBountyEarned(this.bounty);
+                this.game.strikeManager.recordBountyEarned(this.bounty, this.waveNumber);
             } else {
                 // console.warn(`Enemy ${this.id}: Could not record bounty for StrikeManager. strikeManager or recordBountyEarned method missing.`);
             }
@@ -345,6 +478,98 @@ export default class Enemy {
         return { x: this.x, y: this.y };
     }
 
+    // --- ADDED: Healer ability and brood placement ---
+    /**
+     * Restores HP, up to max HP.
+     * @param {number} amount - HP in scaled units.
+     */
+    heal(amount) {
+        if (this.isDead || amount <= 0) return;
+        this.hp = Math.min(this.maxHp, this.hp + amount);
+    }
+
+    /**
+     * Heals every other live enemy within the healer radius for one step.
+     * @param {number} deltaTime - Step length in ms.
+     * @private
+     */
+    _healAllies(deltaTime) {
+        const { healPerSecond, radius } = this.abilities.healer;
+        for (const ally of this.game?.enemyManager?.activeEnemies || []) {
+            if (ally === this || ally.isDead || !this.isInRange(ally, radius)) continue;
+            ally.heal(healPerSecond * (ally.healthScaleFactor ?? 1) * (deltaTime / 1000));
+        }
+    }
+
+    /**
+     * Moves a new enemy to a point further along its lane (brood spawns start where their parent died).
+     * @param {number} distance - Distance along the extended path in px.
+     */
+    placeAtDistance(distance) {
+        const point = this.game?.getPointAtDistance(distance, this.pathId);
+        if (!point || this.waypoints.length < 2) return;
+        const cumulativeDistances = this.game.getCumulativeDistances(this.pathId) || [];
+        let segmentIndex = cumulativeDistances.findIndex(cumulativeDistance => distance <= cumulativeDistance);
+        if (segmentIndex === -1) segmentIndex = this.waypoints.length - 2; // Past the end: on the last segment
+        this.x = point.x;
+        this.y = point.y;
+        this.previousX = this.x;
+        this.previousY = this.y;
+        this.targetWaypointIndex = segmentIndex + 1;
+        this.distanceTravelled = Math.min(distance, cumulativeDistances[cumulativeDistances.length - 1] ?? distance);
+        if (this.pixiContainer) {
+            this.pixiContainer.x = this.x;
+            this.pixiContainer.y = this.y;
+        }
+    }
+    // --- END ADDED ---
+
+    // --- ADDED: Defender targeting ---
+    /**
+     * Keeps the current defender target while it stands and is in range, otherwise picks the
+     * closest defender within attackRange.
+     * @returns {boolean} True if the enemy has a defender to attack.
+     * @private
+     */
+    _updateDefenderTarget() {
+        if (!this.targetsDefenders) return false;
+        const target = this.targetTower;
+        if (target && !target.isDestroyed && this.isInRange(target, this.attackRange)) {
+            return true;
+        }
+        this.targetTower = null;
+        let minDistanceSquared = this.attackRange * this.attackRange;
+        for (const defence of this.game?.defenceManager?.activeDefences || []) {
+            if (defence.isDestroyed) continue;
+            const dx = defence.x - this.x;
+            const dy = defence.y - this.y;
+            const distanceSquared = dx * dx + dy * dy;
+            if (distanceSquared <= minDistanceSquared) {
+                minDistanceSquared = distanceSquared;
+                this.targetTower = defence;
+            }
+        }
+        return this.targetTower !== null;
+    }
+    // --- END ADDED ---
+
+    // --- ADDED: Path progress ---
+    /**
+     * @returns {number} How far along its lane's extended path the enemy is, in pixels.
+     */
+    getDistanceTravelled() {
+        return this.distanceTravelled;
+    }
+
+    /**
+     * @returns {number} Current speed in px/s after status effects (0 while stunned or attacking).
+     */
+    getEffectiveSpeed() {
+        if (this.isAttacking || this.statusEffects.isStunned) return 0;
+        return this.speed * this.statusEffects.speedMultiplier;
+    }
+    // --- END ADDED ---
+
     /**
      * Checks if the enemy is within a given range of a target's coordinates.
      * @param {object} targetCoords - An object with x and y properties (e.g., puddle.metadata).
@@ -375,18 +600,15 @@ export default class Enemy {
         }
     }
 
+    // --- ADDED: Status effects (replace setSlow/resetSpeedModifier) ---
     /**
-     * Sets the enemy's speed modifier.
-     * @param {number} speedFactor - The factor by which to reduce speed (e.g., 0.5 for 50% speed).
-     */
-    setSlow(speedFactor) {
-        this.speedModifier = speedFactor;
-    }
-
-    /**
-     * Resets the enemy's speed modifier to normal (1.0).
+     * Applies a status effect; it takes hold from this enemy's next update() (see models/statusEffects.js).
+     * @param {object} effect - { type, duration, magnitude?, source?, maxStacks? }.
+     * @returns {boolean} True if the effect was applied.
      */
-    resetSpeedModifier() {
-        this.speedModifier = 1.0;
+    applyStatusEffect(effect) {
+        if (this.isDead) return false;
+        return this.statusEffects.apply(effect);
     }
+    // --- END ADDED ---
 }
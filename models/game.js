@@ -6,24 +6,54 @@ import Base from './base.js'; // Import the Base class
 import DefenceManager from '../defenceManager.js'; // <-- ADD Import
 import PriceManager from '../priceManager.js'; // Import PriceManager
 import StrikeManager from '../strikeManager.js'; // <-- ADDED Import
+import SaveManager from '../saveManager.js';
+import ReplayManager from '../replayManager.js';
+import TelemetryManager from '../telemetryManager.js';
+import LevelManager from '../levelManager.js';
+import GameEventBus from '../gameEventBus.js';
 import { minDistanceToPath } from '../utils/geometryUtils.js'; // <-- ADD Import
-import { loadCsvLookup } from '../utils/dataLoaders.js'; // <-- IMPORT HELPER
+import { loadCsvLookup, loadJson, loadText, setAssetTextReader } from '../utils/dataLoaders.js'; // <-- IMPORT HELPER
+import SeededRandom from '../utils/seededRandom.js';
 
 const DEFAULT_WIDTH = 1024;
 const DEFAULT_HEIGHT = 1024;
 const INITIAL_MUSIC_VOLUME = 0.2; // Low volume for fade target
 const FULL_MUSIC_VOLUME = 1.0;    // Full volume
 const MUSIC_PATH = 'assets/music/bach-menuet-frenchsuite3.mp3'; // Path to music
+const SAVE_FORMAT_VERSION = 1; // Bump when serializeState() output changes incompatibly
+const GAME_SPEEDS = [1, 2, 4]; // Player speed multipliers, slowest first
+export const DEFAULT_PATH_ID = 'main'; // Lane ID of levels that declare a single path
 
 // Forward declare Controller if not using modules or circular dependencies exist
 // class Controller {}; 
 
 export default class Game {
-    constructor() { // Controller can be set later
-        this.container = document.getElementById('gameContainer');
+    /**
+     * @param {object} [options]
+     * @param {boolean} [options.headless=false] - Run the simulation without PixiJS rendering, DOM or audio (e.g. from Node).
+     * @param {function(string): Promise<string>} [options.assetReader] - Reads text assets instead of fetch (e.g. from disk). See setAssetTextReader.
+     * @param {number|string} [options.seed] - RNG seed. Takes precedence over the ?seed= URL parameter and gameConfig.seed.
+     */
+    constructor(options = {}) { // Controller can be set later
+        // --- ADDED: Headless mode ---
+        this.headless = !!options.headless;
+        this.headlessTimestamp = 0; // Synthetic clock advanced by step() when headless
+        if (options.assetReader) {
+            setAssetTextReader(options.assetReader);
+        }
+        // --- END ADDED ---
+        // --- ADDED: Seeded RNG (created in initializeRandom once gameConfig is loaded) ---
+        this.requestedSeed = options.seed ?? null;
+        this.isSeedFixed = false; // True when the seed was chosen explicitly (option, URL or config)
+        this.rng = null;
+        // --- END ADDED ---
+        this.requestedLevelId = options.level ?? null; // ADDED: Initial level (option, else ?level= URL param, else first in manifest)
+        this.container = this.headless ? null : document.getElementById('gameContainer');
         this.app = null; // Will hold the PixiJS application
         this.config = null;
         this.levelData = null;
+        this.levelId = null; // ADDED: ID of the loaded level (see loadLevel)
+        this.levelDataPath = null; // ADDED: Level JSON path from the manifest (tuning polls it)
         this.pathDataPath = null; // Store the path string to the extended CSV
         this.pathCoverageDataPath = null; // <-- ADDED property
         this.pathStatsPath = null; // <-- ADDED property
@@ -39,13 +69,25 @@ export default class Game {
         this.base = null; // ADD base instance property
         this.defenceManager = null; // <-- ADD defenceManager property
         this.lastTimestamp = 0;
+        this.gameTime = 0; // ADDED: Simulation clock (ms), advanced only by effective delta time in update()
+        this.fixedStepMs = 1000 / 60; // ADDED: Simulation step length, set from gameConfig.fixedTimestepHz
+        this.simulationAccumulatorMs = 0; // ADDED: Real time not yet consumed by fixed steps
+        this.gameSpeed = 1; // ADDED: Player speed multiplier (see setGameSpeed); combines with the game-over timeScale
         this._initPromise = this.initialize();
         this.placementPreview = null; // {x, y, isValid} object or null
         this.updateListeners = []; // Array to hold update listener callbacks
         this.priceManager = null; // Initialize as null
         this.difficulty = null;
+        this.selectedDifficulty = null; // ADDED: Key in gameConfig.difficultyScalars chosen for this game
         this.currencyScale = null;
         this.strikeManager = null;
+        this.saveManager = null; // ADDED: Save slots (browser only)
+        this.replayManager = null; // ADDED: Action recording and replay
+        this.telemetryManager = null; // ADDED: Per-wave telemetry (see telemetryManager.js)
+        this.levelManager = null; // ADDED: Level manifest and unlock progress
+        this.events = new GameEventBus(this); // ADDED: Gameplay events (see gameEventBus.js); survives level switches
+        this.levelLoadedListeners = []; // ADDED: Called after switchLevel() rebuilds the managers
+        this.autoPauseListeners = []; // ADDED: Called when the game pauses itself (tab hidden / window blurred)
         this.controller = null; // <-- Controller will be set later
         this.showStrikeManagerHeatmap = false; // <-- ADDED: Flag to control heatmap rendering
         // Path metrics - loaded from path-stats.json
@@ -53,6 +95,7 @@ export default class Game {
         this.segmentLengths = [];
         this.cumulativeDistances = [];
         this.extendedPathData = []; // Add storage for path waypoints
+        this.paths = []; // ADDED: Spawn paths (lanes), see _loadPath(). The fields above mirror the first one
         this.pathCoverageLookup = []; // <-- ADDED STORAGE
         this.pathCoverageLoaded = false;
         this.criticalZoneEntryWaypointIndex = -1; // <-- ADDED for Duress Cooldown
@@ -67,8 +110,10 @@ export default class Game {
         this.isGameActive = false; // Added: Flag to control game loop activity
         this.isWearEnabled = true; // ADDED: Flag for enabling/disabling wear
         this.areAirstrikesEnabled = true; // ADDED: Flag for enabling/disabling airstrikes
+        this.isEndlessMode = false; // ADDED: Ignore the level's maxWaves and keep sending waves
         // --- Game Over / Slow-Mo State --- 
         this.isGameOver = false;
+        this.isVictory = false; // ADDED: Game ended by clearing the last campaign wave
         this.timeScale = 1.0;       // Current time scale (1.0 = normal, <1.0 = slow)
         this.slowMoStartTime = null; // Timestamp when slow-mo transition begins
         this.backgroundMusic = null; // Property to hold the Audio element
@@ -84,28 +129,31 @@ export default class Game {
     // --- ADD methods for placement preview --- 
     /**
      * Checks if a given position is valid for placing a defence based on path proximity.
+     * The position must keep every lane's exclusion radius.
      * @param {object} position - The {x, y} position to check.
      * @returns {boolean} True if the position is valid, false otherwise.
      */
     isPositionValidForPlacement(position) {
         if (!position) return false;
+        if (this.paths.length === 0) {
+            console.warn("isPositionValidForPlacement: Path data not available or incomplete for validation.");
+            return false;
+        }
 
-        const path = this.extendedPathData;
-        const exclusionRadius = this.levelConfig?.pathExclusionRadius;
-
-        if (path && path.length >= 2 && typeof exclusionRadius === 'number') {
-            const distance = minDistanceToPath(position, path);
-            return distance >= exclusionRadius;
-        } else {
-            // Log if path/config wasn't ready for validation
-            if (!path || path.length < 2) {
-                 console.warn("isPositionValidForPlacement: Path data not available or incomplete for validation.");
+        for (const path of this.paths) {
+            const exclusionRadius = path.exclusionRadius;
+            if (path.extendedPathData.length < 2 || typeof exclusionRadius !== 'number') {
+                // Log if path/config wasn't ready for validation
+                if (typeof exclusionRadius !== 'number') {
+                    console.warn(`isPositionValidForPlacement: pathExclusionRadius (${exclusionRadius}) not available or not a number for path '${path.id}'.`);
+                }
+                return false; // Default to invalid if critical data is missing
             }
-            if (typeof exclusionRadius !== 'number') {
-                console.warn(`isPositionValidForPlacement: pathExclusionRadius (${exclusionRadius}) not available or not a number in level config.`);
+            if (minDistanceToPath(position, path.extendedPathData) < exclusionRadius) {
+                return false;
             }
-            return false; // Default to invalid if critical data is missing
         }
+        return true;
     }
 
     /**
@@ -175,14 +223,203 @@ export default class Game {
     }
     // --- END ADD methods --- 
 
+    // --- ADDED: Renderer setup (extracted from initialize so headless runs can skip it) ---
+    /**
+     * Creates the PixiJS application, attaches its canvas to the page and sets up the stage layers.
+     * @param {number} width - Canvas width in pixels.
+     * @param {number} height - Canvas height in pixels.
+     */
+    async initializeRenderer(width, height) {
+        this.app = new Application();
+        await this.app.init({
+            width: width,
+            height: height,
+            backgroundColor: 0x000000 // Default background, will be covered by map
+        });
+
+        this.container.appendChild(this.app.canvas); // Use .canvas and ensure it's after init
+        await this.setupStage();
+    }
+    // --- END ADDED ---
+
+    // --- ADDED: Stage setup (split from initializeRenderer so switchLevel can rebuild it) ---
+    /**
+     * Adds the level's background and the game layers to the (empty) stage.
+     * The background image path is set by loadLevel.
+     */
+    async setupStage() {
+        if (this.bgImagePath) { // bgImagePath should be set in loadLevel
+            const texture = await Assets.load(this.bgImagePath);
+            const backgroundSprite = Sprite.from(texture);
+            backgroundSprite.width = this.app.screen.width;
+            backgroundSprite.height = this.app.screen.height;
+            this.app.stage.addChild(backgroundSprite);
+        }
+        // Ensure groundLayer is added before placementPreviewGraphic for correct layering
+        this.app.stage.addChild(this.puddleLayer);     // Puddles beneath entities
+        this.app.stage.addChild(this.groundLayer);     // Main game entities (defenders, enemies, base)
+        this.app.stage.addChild(this.effectsLayer);  // NEW: For shadows, non-sorted explosions, etc.
+        this.app.stage.addChild(this.placementPreviewGraphic); // UI like placement preview on top
+    }
+    // --- END ADDED ---
+
+    // --- ADDED: Level selection ---
+    /**
+     * Picks the level to load first: the constructor option, the ?level= URL parameter,
+     * or the first level in the manifest. Unknown IDs fall back to the first level.
+     * @returns {number|string} Level ID.
+     */
+    getInitialLevelId() {
+        let levelId = this.requestedLevelId;
+        if (levelId === null && !this.headless) {
+            levelId = new URLSearchParams(window.location.search).get('level');
+        }
+        if (levelId !== null && !this.levelManager.getLevel(levelId)) {
+            console.warn(`Game: Unknown level '${levelId}'. Loading the first level instead.`);
+            levelId = null;
+        }
+        return levelId ?? this.levelManager.getDefaultLevelId();
+    }
+
+    /**
+     * Tears down the current level (managers, stage, tuning registrations) and builds another one
+     * in place, without a page reload. The new level waits for startGame(), like a fresh page.
+     * @param {number|string} levelId - Level ID from the level manifest.
+     * @returns {Promise<boolean>} True if the new level is ready.
+     */
+    async switchLevel(levelId) {
+        if (!this.levelManager?.getLevel(levelId)) {
+            console.error(`Game.switchLevel: Unknown level '${levelId}'.`);
+            return false;
+        }
+        try {
+            this.teardownLevel();
+            await this.buildLevel(levelId);
+            if (!this.headless && this.tuningManager && this.tuningManager.registeredManagers.length > 0) {
+                this.tuningManager.start();
+            }
+            this.initialized = true;
+        } catch (error) {
+            console.error(`Game.switchLevel: Failed to load level ${levelId}:`, error);
+            return false;
+        }
+
+        for (const listener of this.levelLoadedListeners) {
+            try {
+                listener(this.levelId);
+            } catch (error) {
+                console.error("Error in level loaded listener:", error);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Removes everything buildLevel() created. The game loop keeps running but skips frames
+     * until the next level is built (initialized is false in between).
+     */
+    teardownLevel() {
+        this.initialized = false;
+        this.pauseGame();
+        this.replayManager?.stopReplay();
+        this.tuningManager?.unregisterAll();
+
+        // Let the managers remove their own sprites first
+        this.enemyManager?.resetForNewGame();
+        this.defenceManager?.resetForNewGame();
+        this.strikeManager?.resetForNewGame();
+        this.base?.destroySelf();
+
+        for (const layer of [this.puddleLayer, this.groundLayer, this.effectsLayer]) {
+            layer.removeChildren().forEach(child => child.destroy({ children: true }));
+        }
+        this.placementPreviewGraphic.clear();
+        this.placementPreviewGraphic.visible = false;
+        this.placementPreview = null;
+        if (this.app) {
+            this.app.stage.removeChildren(); // Background sprite and layers; the layers are re-added by setupStage()
+        }
+
+        this.waveManager = null;
+        this.enemyManager = null;
+        this.base = null;
+        this.defenceManager = null;
+        this.priceManager = null;
+        this.strikeManager = null;
+
+        // Level data and everything derived from it
+        this.levelData = null;
+        this.levelConfig = {};
+        this.bgImagePath = null;
+        this.extendedPathData = [];
+        this.paths = [];
+        this.pathCoverageLookup = [];
+        this.pathCoverageLoaded = false;
+        this.totalPathLength = null;
+        this.segmentLengths = [];
+        this.cumulativeDistances = [];
+        this.pathStats = {};
+        this.criticalZoneEntryWaypointIndex = -1;
+        this._breakEvenAlphaFactor = null;
+        this.betaFactor = null;
+
+        // Back to constructor defaults: enemy scaling is derived from them while the level builds
+        this.difficultyScalar = 1.0;
+        this.selectedDifficulty = null;
+        this.isWearEnabled = true;
+        this.areAirstrikesEnabled = true;
+        this.isEndlessMode = false;
+
+        this.isGameOver = false;
+        this.isVictory = false;
+        this.timeScale = 1.0;
+        this.slowMoStartTime = null;
+        this.gameTime = 0;
+        this.simulationAccumulatorMs = 0;
+    }
+
+    /**
+     * Adds a listener called after switchLevel() has built a new level, e.g. to re-bind UI to the new managers.
+     * @param {function(number|string): void} callback - Receives the new level ID.
+     */
+    addLevelLoadedListener(callback) {
+        if (typeof callback === 'function') {
+            this.levelLoadedListeners.push(callback);
+        } else {
+            console.error("Attempted to add non-function level loaded listener.", callback);
+        }
+    }
+    // --- END ADDED ---
+
+    // --- ADDED: Seeded RNG ---
+    /**
+     * Creates the game's RNG. The seed comes from (in order) the constructor option, the
+     * ?seed= URL parameter, gameConfig.seed, or a freshly generated one.
+     */
+    initializeRandom() {
+        let seed = this.requestedSeed;
+        if ((seed === null || seed === '') && !this.headless) {
+            seed = new URLSearchParams(window.location.search).get('seed');
+        }
+        if (seed === null || seed === '') {
+            seed = this.gameConfig?.seed ?? null;
+        }
+        this.isSeedFixed = seed !== null && seed !== '';
+        this.rng = new SeededRandom(this.isSeedFixed ? seed : SeededRandom.generateSeed());
+    }
+
+    /**
+     * @returns {number} The seed of the current run.
+     */
+    getSeed() {
+        return this.rng ? this.rng.getSeed() : null;
+    }
+    // --- END ADDED ---
+
     // --- ADDED: Load Global Game Config ---
     async loadGameConfig() {
         try {
-            const response = await fetch('assets/gameConfig.json');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            this.gameConfig = await response.json();
+            this.gameConfig = await loadJson('assets/gameConfig.json');
             //console.log("Game: Global game config loaded:", this.gameConfig);
         } catch (error) {
             console.error("Game Initialize: Failed to load global game config (./assets/gameConfig.json):", error);
@@ -209,291 +446,304 @@ export default class Game {
             // *** Load Global Config FIRST ***
             await this.loadGameConfig();
 
+            // *** Initialize the seeded RNG (needs gameConfig for the configured seed) ***
+            this.initializeRandom();
+
             // *** Initialize Background Music Object ***
-            this.initializeBackgroundMusicObject(); // Renamed for clarity
+            if (!this.headless) {
+                this.initializeBackgroundMusicObject(); // Renamed for clarity
+                this.setupAutoPause(); // ADDED
+            }
 
             // *** Assign config values AFTER loading ***
             this.slowMoDuration = this.gameConfig.gameOver.slowMoDurationMs;
             this.targetTimeScale = this.gameConfig.gameOver.slowMoTargetScale;
+            this.fixedStepMs = 1000 / (this.gameConfig.fixedTimestepHz || 60);
 
             // *** Initialize Tuning Manager with config interval ***
+            // MODIFIED: Headless runs have no dev server to poll, so they never start it, but replays
+            // still apply recorded tuning updates through it
             const tuningInterval = this.gameConfig?.tuning?.defaultIntervalMs || 500; // Fallback
             this.tuningManager = new TuningManager(tuningInterval);
             //console.log(`Game: Initialized TuningManager with interval: ${tuningInterval}ms`);
 
-            // Load level data FIRST (paths for enemies, waves, base, canvas dimensions, map image)
-            const loadedLevelInfo = await this.loadLevel(1); // NEW: loadLevel returns info
-
-            // *** Create PixiJS Application ***
-            // Ensure this.canvas.width and this.canvas.height are set by loadLevel - OLD COMMENT
-            // if (!this.canvas || !this.canvas.width || !this.canvas.height) { // OLD CHECK
-            if (!loadedLevelInfo || !loadedLevelInfo.width || !loadedLevelInfo.height) { // NEW CHECK
-                throw new Error("Game Initialize: Canvas dimensions not loaded by loadLevel.");
-            }
-            this.app = new Application();
-            await this.app.init({
-                // width: this.canvas.width, // OLD
-                // height: this.canvas.height, // OLD
-                width: loadedLevelInfo.width, // NEW
-                height: loadedLevelInfo.height, // NEW
-                backgroundColor: 0x000000 // Default background, will be covered by map
-            });
+            // --- MODIFIED: Levels come from the manifest; everything level-specific is built in buildLevel() ---
+            this.levelManager = new LevelManager(this);
+            await this.levelManager.load();
+            await this.buildLevel(this.getInitialLevelId());
 
-            this.container.appendChild(this.app.canvas); // Use .canvas and ensure it's after init
-            // Background image is loaded and added in loadLevel AFTER app is created.
-            // This ordering is a bit tricky. loadLevel needs to know about this.app
-            // OR loadLevel prepares the path, and we load image here.
-            // Let's adjust loadLevel to load the image path, then load the actual image here.
-
-            if (this.bgImagePath) { // bgImagePath should be set in loadLevel
-                const texture = await Assets.load(this.bgImagePath);
-                const backgroundSprite = Sprite.from(texture);
-                backgroundSprite.width = this.app.screen.width;
-                backgroundSprite.height = this.app.screen.height;
-                this.app.stage.addChild(backgroundSprite);
-                // Ensure groundLayer is added before placementPreviewGraphic for correct layering
-                this.app.stage.addChild(this.puddleLayer);     // Puddles beneath entities
-                this.app.stage.addChild(this.groundLayer);     // Main game entities (defenders, enemies, base)
-                this.app.stage.addChild(this.effectsLayer);  // NEW: For shadows, non-sorted explosions, etc.
-                this.app.stage.addChild(this.placementPreviewGraphic); // UI like placement preview on top
-            }
-
-            // *** Load Path Coverage Data AFTER loadLevel sets the path ***
-            if (this.pathCoverageDataPath) {
-                await this.loadPathCoverageData();
-            } else {
-                throw new Error("Game Initialize: pathCoverageDataPath missing, cannot load coverage data.");
+            // Start game loop (headless games are driven externally via step())
+            if (!this.headless) {
+                this.startGameLoop();
             }
             
-            // Initialize Base FIRST (as EnemyManager needs it)
-            if (!this.baseDataPath) {
-                 throw new Error("Game Initialize: Level data is missing required 'baseData' path.");
-            }
-            try {
-                // Call the static method on the Base class, passing the game instance
-                this.base = await Base.createFromPath(this.baseDataPath, this); // Pass `this` (game instance)
-                ////console.log("Game: Base initialized successfully via static method."); 
+            // Mark as initialized
+            this.initialized = true;
+            // --- END MODIFIED ---
 
-                // Add the base's PIXI.Container to the stage
-                if (this.base && this.base.pixiContainer) {
-                    this.groundLayer.addChild(this.base.pixiContainer); // MODIFIED: Add to groundLayer
-                } else {
-                    console.error("Game Initialize: Base or base.pixiContainer is not available after creation. Cannot add to stage.");
-                    // Potentially throw an error here if the base is critical for rendering
-                }
 
-            } catch(baseError) {
-                 // Catch errors from createFromPath (fetch, json, constructor, loadAssets)
-                 console.error(`Game Initialize: Failed to initialize Base: ${baseError}`);
-                 throw baseError; // Re-throw to stop game initialization
+            // --- ADDED: Save slots live in localStorage, so only in the browser ---
+            if (!this.headless) {
+                this.saveManager = new SaveManager(this);
             }
+            this.replayManager = new ReplayManager(this);
+            this.telemetryManager = new TelemetryManager(this); // Per-wave metrics, built from game.events
+            // --- END ADDED ---
 
-            // Initialize EnemyManager second, passing paths and base
-            const enemyDataPath = this.levelData?.enemyData;
-            if (!enemyDataPath) {
-                throw new Error("Game Initialize: Level data is missing required 'enemyData' path.");
-            }
-            if (!this.pathDataPath) {
-                throw new Error("Game Initialize: pathDataPath was not loaded correctly from level data.");
-            }
-            // Ensure pathStatsPath was loaded <-- ADDED Check
-            if (!this.pathStatsPath) {
-                throw new Error("Game Initialize: pathStatsPath was not loaded correctly from level data.");
-            }
-            this.enemyManager = new EnemyManager(
-                enemyDataPath,
-                this.base,
-                this // <-- Pass the Game instance
-            );
-            await this.enemyManager.load(); 
-            
-            // Initialize WaveManager - PASS PATH, ENEMY MANAGER INSTANCE, and CREATE FUNCTION
-            if (this.waveDataPath && this.enemyManager) {
-                this.waveManager = new WaveManager(
-                    this.waveDataPath, // Pass the path
-                    this.enemyManager, // Pass the EnemyManager instance
-                    this.enemyManager.createEnemy.bind(this.enemyManager),
-                    this.totalPathLength, // <-- Pass the loaded path length
-                    this // <-- ADDED: Pass the Game instance
-                );
-                await this.waveManager.load(); // Load wave data within the manager
-            } else {
-                console.error("Cannot initialize WaveManager: waveDataPath or EnemyManager is missing.");
-                // Optionally throw error or prevent game start
+            // Start TuningManager (only if something was registered; never headless, see above)
+            if (!this.headless) {
+                 if (this.tuningManager.registeredManagers.length > 0) {
+                      this.tuningManager.start();
+                 } else {
+                      console.warn("Game Initialize: No managers registered with TuningManager.")
+                 }
             }
             
-            // Initialize DefenceManager
-            if (this.defencesPath) {
-                // Pass the Game instance ('this') to the constructor
-                this.defenceManager = new DefenceManager(this);
-                // Call the renamed method loadDefinitions
-                await this.defenceManager.loadDefinitions(this.defencesPath);
-            } else {
-                console.error("Cannot initialize DefenceManager: defencesPath is missing from level data.");
-            }
+            ////console.log('Game initialization complete.');
 
-            // --- ADDED: Initialize StrikeManager ---
-            this.strikeManager = new StrikeManager(this);
-            if (!loadedLevelInfo || !loadedLevelInfo.width || !loadedLevelInfo.height) { // Add check before using
-                throw new Error("Game Initialize: Cannot load StrikeManager config, level dimensions missing.");
+            return true;
+        } catch (error) {
+            console.error('Failed to initialize game:', error);
+            this.initialized = false;
+            return false;
+        }
+    }
+    
+    // --- ADDED: Level building (extracted from initialize so levels can be switched) ---
+    /**
+     * Loads a level and builds everything that depends on it: path data, stage, base, managers,
+     * derived economy values and tuning registrations. Expects teardownLevel() to have run if a
+     * level was loaded before.
+     * @param {number|string} levelId - Level ID from the level manifest.
+     */
+    async buildLevel(levelId) {
+        // Load level data FIRST (paths for enemies, waves, base, canvas dimensions, map image)
+        const loadedLevelInfo = await this.loadLevel(levelId); // NEW: loadLevel returns info
+
+        // *** Create PixiJS Application ***
+        // Ensure this.canvas.width and this.canvas.height are set by loadLevel - OLD COMMENT
+        // if (!this.canvas || !this.canvas.width || !this.canvas.height) { // OLD CHECK
+        if (!loadedLevelInfo || !loadedLevelInfo.width || !loadedLevelInfo.height) { // NEW CHECK
+            throw new Error("Game Initialize: Canvas dimensions not loaded by loadLevel.");
+        }
+        // --- MODIFIED: Renderer setup moved to initializeRenderer (skipped when headless) ---
+        // The renderer is created once; later levels resize it and rebuild the stage
+        if (!this.headless && !this.app) {
+            await this.initializeRenderer(loadedLevelInfo.width, loadedLevelInfo.height);
+        } else if (!this.headless) {
+            this.app.renderer.resize(loadedLevelInfo.width, loadedLevelInfo.height);
+            await this.setupStage();
+        }
+
+        // *** Load Path Coverage Data AFTER loadLevel sets the path ***
+        await this.loadPathCoverageData(); // MODIFIED: Throws if a lane has no coverage data
+        
+        // Initialize Base FIRST (as EnemyManager needs it)
+        if (!this.baseDataPath) {
+             throw new Error("Game Initialize: Level data is missing required 'baseData' path.");
+        }
+        try {
+            // Call the static method on the Base class, passing the game instance
+            this.base = await Base.createFromPath(this.baseDataPath, this); // Pass `this` (game instance)
+            ////console.log("Game: Base initialized successfully via static method."); 
+
+            // Add the base's PIXI.Container to the stage
+            if (this.base && this.base.pixiContainer) {
+                this.groundLayer.addChild(this.base.pixiContainer); // MODIFIED: Add to groundLayer
+            } else if (!this.headless) {
+                console.error("Game Initialize: Base or base.pixiContainer is not available after creation. Cannot add to stage.");
+                // Potentially throw an error here if the base is critical for rendering
             }
-            await this.strikeManager.loadConfig(loadedLevelInfo.width, loadedLevelInfo.height); // NEW Call
-            // ------------------------------------
 
-            // --- Calculate initial break-even alpha factor --- 
-            // Moved EARLIER: Needs WaveManager (f), EnemyManager (s_min), PathStats (L), LevelConfig (w)
-            this.recalculateBreakEvenAlphaFactor(); 
-            // ------------------------------------
+        } catch(baseError) {
+             // Catch errors from createFromPath (fetch, json, constructor, loadAssets)
+             console.error(`Game Initialize: Failed to initialize Base: ${baseError}`);
+             throw baseError; // Re-throw to stop game initialization
+        }
 
-            // --- Calculate Enemy Scaled Values (Needs Alpha) ---
-            if (this.enemyManager) {
-                this.enemyManager.calculateAndStoreScaledValues();
-            }
-            // --------------------------------------------------
-
-            // Instantiate PriceManager
-            if (this.defenceManager?.isLoaded && this.enemyManager?.isLoaded && this.base?.isLoaded) {
-                //console.log("DEBUG: Game Initialize - About to create PriceManager..."); // <-- ADD LOG
-                this.priceManager = new PriceManager(
-                    this.defenceManager,
-                    this.enemyManager,
-                    this.base,
-                    this // <-- Pass the Game instance
-                );
-                await this.priceManager.load(); // <-- Ensure price manager is loaded (now just marks ready)
-                //console.log("DEBUG: Game Initialize - PriceManager created:", this.priceManager); // <-- ADD LOG
-            } else {
-                console.error("Game Initialize: Cannot create PriceManager, required managers not loaded.");
-                throw new Error("Game Initialize: Cannot create PriceManager, required managers not loaded.");
-            }
+        // Initialize EnemyManager second, passing paths and base
+        const enemyDataPath = this.levelData?.enemyData;
+        if (!enemyDataPath) {
+            throw new Error("Game Initialize: Level data is missing required 'enemyData' path.");
+        }
+        if (!this.pathDataPath) {
+            throw new Error("Game Initialize: pathDataPath was not loaded correctly from level data.");
+        }
+        // Ensure pathStatsPath was loaded <-- ADDED Check
+        if (!this.pathStatsPath) {
+            throw new Error("Game Initialize: pathStatsPath was not loaded correctly from level data.");
+        }
+        this.enemyManager = new EnemyManager(
+            enemyDataPath,
+            this.base,
+            this // <-- Pass the Game instance
+        );
+        await this.enemyManager.load(); 
+        
+        // Initialize WaveManager - PASS PATH, ENEMY MANAGER INSTANCE, and CREATE FUNCTION
+        if (this.waveDataPath && this.enemyManager) {
+            this.waveManager = new WaveManager(
+                this.waveDataPath, // Pass the path
+                this.enemyManager, // Pass the EnemyManager instance
+                this.enemyManager.createEnemy.bind(this.enemyManager),
+                this.totalPathLength, // <-- Pass the loaded path length
+                this // <-- ADDED: Pass the Game instance
+            );
+            await this.waveManager.load(); // Load wave data within the manager
+        } else {
+            console.error("Cannot initialize WaveManager: waveDataPath or EnemyManager is missing.");
+            // Optionally throw error or prevent game start
+        }
+        
+        // Initialize DefenceManager
+        if (this.defencesPath) {
+            // Pass the Game instance ('this') to the constructor
+            this.defenceManager = new DefenceManager(this);
+            // Call the renamed method loadDefinitions
+            await this.defenceManager.loadDefinitions(this.defencesPath);
+        } else {
+            console.error("Cannot initialize DefenceManager: defencesPath is missing from level data.");
+        }
 
-            // *** Initial Cost Calculation ***
-            if (this.priceManager) {
-                await this.priceManager.recalculateAndStoreCosts();
-            }
-            // --------------------------
+        // --- ADDED: Initialize StrikeManager ---
+        this.strikeManager = new StrikeManager(this);
+        if (!loadedLevelInfo || !loadedLevelInfo.width || !loadedLevelInfo.height) { // Add check before using
+            throw new Error("Game Initialize: Cannot load StrikeManager config, level dimensions missing.");
+        }
+        await this.strikeManager.loadConfig(loadedLevelInfo.width, loadedLevelInfo.height); // NEW Call
+        // ------------------------------------
 
-            // --- ADDED: Call DefenceManager setup after PriceManager is ready --- 
-            if (this.defenceManager && typeof this.defenceManager.setupAfterLoad === 'function') {
-                 this.defenceManager.setupAfterLoad();
-            } else {
-                 console.error("Game Initialize: DefenceManager or setupAfterLoad method missing.");
-            }
-            // --- END ADDED ---
+        // --- Calculate initial break-even alpha factor --- 
+        // Moved EARLIER: Needs WaveManager (f), EnemyManager (s_min), PathStats (L), LevelConfig (w)
+        this.recalculateBreakEvenAlphaFactor(); 
+        // ------------------------------------
 
-            // --- ADDED: Initialize StrikeManager's dependent calculations ---
-            if (this.strikeManager && typeof this.strikeManager.onGameInitialized === 'function') {
-                this.strikeManager.onGameInitialized();
-            } else {
-                console.error("Game Initialize: StrikeManager or onGameInitialized method missing.");
-            }
-            // --- END ADDED ---
+        // --- Calculate Enemy Scaled Values (Needs Alpha) ---
+        if (this.enemyManager) {
+            this.enemyManager.calculateAndStoreScaledValues();
+        }
+        // --------------------------------------------------
+
+        // Instantiate PriceManager
+        if (this.defenceManager?.isLoaded && this.enemyManager?.isLoaded && this.base?.isLoaded) {
+            //console.log("DEBUG: Game Initialize - About to create PriceManager..."); // <-- ADD LOG
+            this.priceManager = new PriceManager(
+                this.defenceManager,
+                this.enemyManager,
+                this.base,
+                this // <-- Pass the Game instance
+            );
+            await this.priceManager.load(); // <-- Ensure price manager is loaded (now just marks ready)
+            //console.log("DEBUG: Game Initialize - PriceManager created:", this.priceManager); // <-- ADD LOG
+        } else {
+            console.error("Game Initialize: Cannot create PriceManager, required managers not loaded.");
+            throw new Error("Game Initialize: Cannot create PriceManager, required managers not loaded.");
+        }
 
-            // --- ADDED: Calculate Critical Zone Entry Waypoint Index ---
-            if (this.strikeManager && this.enemyManager && this.totalPathLength !== null && this.cumulativeDistances.length > 0) {
-                const totalExtendedPathLength = this.getTotalPathLength(); // Should be same as this.totalPathLength
-                const criticalPercent = this.strikeManager.getCriticalExtendedPathZonePercent();
-                const criticalDistanceOnExtendedPath = totalExtendedPathLength * (1 - criticalPercent);
-                const cumulativeDistances = this.getCumulativeDistances();
-                let calculatedIndex = -1;
-
-                for (let i = 0; i < cumulativeDistances.length; i++) {
-                    if (criticalDistanceOnExtendedPath <= cumulativeDistances[i]) {
-                        calculatedIndex = i + 1; // Enemies target the next waypoint in sequence
-                        break;
-                    }
-                }
+        // *** Initial Cost Calculation ***
+        if (this.priceManager) {
+            await this.priceManager.recalculateAndStoreCosts();
+        }
+        // --------------------------
 
-                if (calculatedIndex === -1 && criticalDistanceOnExtendedPath > 0 && cumulativeDistances.length > 0 && criticalDistanceOnExtendedPath > cumulativeDistances[cumulativeDistances.length - 1]) {
-                    calculatedIndex = this.getExtendedPathData().length - 1;
-                } else if (calculatedIndex === -1) {
-                    calculatedIndex = this.getExtendedPathData().length > 0 ? this.getExtendedPathData().length - 1 : 0;
-                }
+        // --- ADDED: Call DefenceManager setup after PriceManager is ready --- 
+        if (this.defenceManager && typeof this.defenceManager.setupAfterLoad === 'function') {
+             this.defenceManager.setupAfterLoad();
+        } else {
+             console.error("Game Initialize: DefenceManager or setupAfterLoad method missing.");
+        }
+        // --- END ADDED ---
 
-                this.criticalZoneEntryWaypointIndex = calculatedIndex;
+        // --- ADDED: Initialize StrikeManager's dependent calculations ---
+        if (this.strikeManager && typeof this.strikeManager.onGameInitialized === 'function') {
+            this.strikeManager.onGameInitialized();
+        } else {
+            console.error("Game Initialize: StrikeManager or onGameInitialized method missing.");
+        }
+        // --- END ADDED ---
+
+        // --- ADDED: Calculate Critical Zone Entry Waypoint Index ---
+        // MODIFIED: One per lane, since each lane has its own waypoints
+        if (this.strikeManager && this.enemyManager && this.paths.length > 0 && this.cumulativeDistances.length > 0) {
+            const criticalPercent = this.strikeManager.getCriticalExtendedPathZonePercent();
+            for (const path of this.paths) {
+                path.criticalZoneEntryWaypointIndex = this._calculateCriticalZoneEntryWaypointIndex(path, criticalPercent);
                 if (this.enemyManager.cacheCriticalWaypointIndex) { // Check if method exists
-                    this.enemyManager.cacheCriticalWaypointIndex(this.criticalZoneEntryWaypointIndex);
+                    this.enemyManager.cacheCriticalWaypointIndex(path.criticalZoneEntryWaypointIndex, path.id);
                 } else {
                     console.error("Game Initialize: enemyManager.cacheCriticalWaypointIndex method missing.");
                 }
-                //console.log(`Game: Critical Zone Entry Waypoint Index set to: ${this.criticalZoneEntryWaypointIndex} (Threshold distance: ${criticalDistanceOnExtendedPath.toFixed(2)} on extended path)`);
-            } else {
-                console.warn("Game Initialize: Could not calculate Critical Zone Entry Waypoint Index. Dependencies missing or path not fully loaded.", 
-                    {
-                        strikeManagerReady: !!this.strikeManager,
-                        enemyManagerReady: !!this.enemyManager,
-                        totalPathLengthReady: this.totalPathLength !== null,
-                        cumulativeDistancesReady: this.cumulativeDistances.length > 0
-                    }
-                );
             }
-            // --- END ADDED ---
-
-            // *** NOW Calculate Wear Parameters (Needs Alpha and Costs) ***
-            if (this.defenceManager?.isLoaded && this.pathCoverageLoaded && this.priceManager && this.getAlpha() !== null) {
-                await this.defenceManager.calculateWearParameters();
-                // --- ADDED: Calculate Bomb Strength AFTER wear params are done ---
-                if (this.strikeManager?.isConfigLoaded()) { // Check if strike manager is ready
-                    this.strikeManager.calculateBombStrength();
+            this.criticalZoneEntryWaypointIndex = this.paths[0].criticalZoneEntryWaypointIndex;
+            //console.log(`Game: Critical Zone Entry Waypoint Index set to: ${this.criticalZoneEntryWaypointIndex}`);
+        } else {
+            console.warn("Game Initialize: Could not calculate Critical Zone Entry Waypoint Index. Dependencies missing or path not fully loaded.", 
+                {
+                    strikeManagerReady: !!this.strikeManager,
+                    enemyManagerReady: !!this.enemyManager,
+                    totalPathLengthReady: this.totalPathLength !== null,
+                    cumulativeDistancesReady: this.cumulativeDistances.length > 0
                 }
-                // --- END ADDED ---
-            } else {
-                 console.error(`Cannot calculate wear parameters - managers/data not ready. Def: ${this.defenceManager?.isLoaded}, Cov: ${this.pathCoverageLoaded}, Price: ${!!this.priceManager}, Alpha: ${this.getAlpha()}`);
+            );
+        }
+        // --- END ADDED ---
+
+        // *** NOW Calculate Wear Parameters (Needs Alpha and Costs) ***
+        if (this.defenceManager?.isLoaded && this.pathCoverageLoaded && this.priceManager && this.getAlpha() !== null) {
+            await this.defenceManager.calculateWearParameters();
+            // --- ADDED: Calculate Bomb Strength AFTER wear params are done ---
+            if (this.strikeManager?.isConfigLoaded()) { // Check if strike manager is ready
+                this.strikeManager.calculateBombStrength();
             }
-            
-            // Start game loop
-            this.startGameLoop();
-            
-            // Mark as initialized
-            this.initialized = true;
+            // --- END ADDED ---
+        } else {
+             console.error(`Cannot calculate wear parameters - managers/data not ready. Def: ${this.defenceManager?.isLoaded}, Cov: ${this.pathCoverageLoaded}, Price: ${!!this.priceManager}, Alpha: ${this.getAlpha()}`);
+        }
+        
+        // Remember the furthest wave reached, for level unlocks (replays don't count)
+        if (this.waveManager && this.levelManager) {
+            this.waveManager.addEventListener('statusUpdated', () => {
+                if (!this.replayManager?.isReplaying) {
+                    this.levelManager.recordWaveReached(this.levelId, this.waveManager.currentWaveNumber);
+                }
+            });
+        }
 
-            // --- Register Managers with TuningManager --- 
-            if (this.tuningManager) { // Ensure TuningManager exists
-                // Register THIS Game instance for level data updates
-                 if (this.levelData) { // levelData should exist here
-                      // Construct the path dynamically based on convention or store it
-                      const levelDataPath = './assets/level1.json'; // TODO: Make this dynamic if needed
-                      this.tuningManager.register(this, levelDataPath);
-                 } else {
-                      console.warn("Game Initialize: Cannot register Game for tuning, levelData is missing.");
-                 }
+        // Clearing the last campaign wave ends the game
+        if (this.waveManager) {
+            this.waveManager.addEventListener('victory', () => this.startVictorySequence());
+        }
 
-                if (this.enemyManager && this.levelData?.enemyData) {
-                    this.tuningManager.register(this.enemyManager, this.levelData.enemyData);
-                }
-                if (this.base && this.baseDataPath) {
-                    this.tuningManager.register(this.base, this.baseDataPath);
-                }
-                // ADD registration for DefenceManager // <-- ADD THIS
-                if (this.defenceManager && this.defencesPath) {
-                    this.tuningManager.register(this.defenceManager, this.defencesPath);
-                }
-                // ADD registration for WaveManager
-                if (this.waveManager && this.waveDataPath) { // Check if waveManager exists
-                    this.tuningManager.register(this.waveManager, this.waveDataPath); // Use waveDataPath
-                }
-            } else {
-                console.warn("Game Initialize: TuningManager not available for registrations.");
-            }
-            // --- End Registrations --- 
+        // --- Register Managers with TuningManager --- 
+        if (this.tuningManager) { // Ensure TuningManager exists
+            // Register THIS Game instance for level data updates
+             if (this.levelData) { // levelData should exist here
+                  this.tuningManager.register(this, this.levelDataPath); // MODIFIED: Path from the level manifest
+             } else {
+                  console.warn("Game Initialize: Cannot register Game for tuning, levelData is missing.");
+             }
 
-            // Start TuningManager (only if something was registered)
-            if (this.tuningManager && this.tuningManager.registeredManagers.length > 0) {
-                 this.tuningManager.start();
-            } else {
-                 console.warn("Game Initialize: No managers registered with TuningManager.")
+            if (this.enemyManager && this.levelData?.enemyData) {
+                this.tuningManager.register(this.enemyManager, this.levelData.enemyData);
             }
-            
-            ////console.log('Game initialization complete.');
-
-            return true;
-        } catch (error) {
-            console.error('Failed to initialize game:', error);
-            this.initialized = false;
-            return false;
+            if (this.base && this.baseDataPath) {
+                this.tuningManager.register(this.base, this.baseDataPath);
+            }
+            // ADD registration for DefenceManager // <-- ADD THIS
+            if (this.defenceManager && this.defencesPath) {
+                this.tuningManager.register(this.defenceManager, this.defencesPath);
+            }
+            // ADD registration for WaveManager
+            if (this.waveManager && this.waveDataPath) { // Check if waveManager exists
+                this.tuningManager.register(this.waveManager, this.waveDataPath); // Use waveDataPath
+            }
+        } else if (!this.headless) {
+            console.warn("Game Initialize: TuningManager not available for registrations.");
         }
+        // --- End Registrations ---
     }
-    
+    // --- END ADDED ---
+
     /**
      * Applies live updates to game-level parameters (difficulty, currencyScale).
      * @param {object} newData - The data object fetched from the level JSON.
@@ -547,9 +797,16 @@ export default class Game {
     
     async loadLevel(levelId) {
         try {
-            // Make sure levelId is a valid number or string that can be part of a URL
-            const response = await fetch(`assets/level${levelId}.json`); // Corrected path
-            this.levelData = await response.json();
+            // --- MODIFIED: The level file comes from the manifest ---
+            const levelEntry = this.levelManager.getLevel(levelId);
+            if (!levelEntry) {
+                throw new Error(`Level ${levelId} is not in the level manifest.`);
+            }
+            this.levelDataPath = levelEntry.file;
+            this.levelData = await loadJson(this.levelDataPath);
+            this.levelId = levelEntry.id; // ADDED: Recorded in save games and replays
+            this.bgImagePath = null; // Set below once the map image has loaded
+            // --- END MODIFIED ---
             
             // Set canvas dimensions from level data
             const levelCanvasWidth = this.levelData.canvas.width;
@@ -567,8 +824,8 @@ export default class Game {
             }
             // --- End storing initial values ---
             
-            // Load background image
-            if (this.levelData.mapImage) {
+            // Load background image (no Image element outside the browser; headless runs don't render it anyway)
+            if (this.levelData.mapImage && !this.headless) {
                 await new Promise((resolve) => {
                     const bgImage = new Image();
                     bgImage.src = this.levelData.mapImage;
@@ -585,72 +842,34 @@ export default class Game {
                 });
             }
             
-            // Store waypoint data PATH
-            if (this.levelData.pathData) {
-                 this.pathDataPath = this.levelData.pathData; 
-                 ////console.log(`Game: Found path data file path: ${this.pathDataPath}`);
-                 // --- Load path coordinates directly --- 
-                 try {
-                     const pathResponse = await fetch(this.pathDataPath);
-                     if (!pathResponse.ok) throw new Error(`HTTP ${pathResponse.status} loading path data`);
-                     const pathCsv = await pathResponse.text();
-                     const lines = pathCsv.trim().split('\n');
-                     this.extendedPathData = lines.map(line => {
-                         const [x, y] = line.split(',').map(Number);
-                         if (isNaN(x) || isNaN(y)) {
-                             throw new Error(`Invalid data in path CSV line: ${line}`);
-                         }
-                         return { x, y };
-                     });
-                     if (this.extendedPathData.length < 2) {
-                         throw new Error('Path requires at least two waypoints.');
-                     }
-                     ////console.log(`Game: Loaded ${this.extendedPathData.length} path waypoints.`);
-                 } catch (pathError) {
-                     console.error(`Game: Failed to load or parse path data from ${this.pathDataPath}:`, pathError);
-                     throw pathError; // Re-throw to stop initialization
-                 }
-                 // ----------------------------------
-            } else {
-                 console.warn(`No pathData found in level ${levelId} configuration.`);
-                 this.pathDataPath = null;
-            }
-            
-            // Store path coverage data PATH
-            if (this.levelData.pathCoverageData) {
-                 this.pathCoverageDataPath = this.levelData.pathCoverageData;
-                 ////console.log(`Game: Found path coverage data file path: ${this.pathCoverageDataPath}`);
-            } else {
-                 console.warn(`No pathCoverageData found in level ${levelId} configuration.`);
-                 this.pathCoverageDataPath = null;
+            // --- MODIFIED: Spawn paths (lanes). `paths` lists them; a level without it has a single
+            // lane described by the top-level pathData / pathCoverageData / pathStatsPath ---
+            const hasLaneList = Array.isArray(this.levelData.paths) && this.levelData.paths.length > 0;
+            const pathConfigs = hasLaneList ? this.levelData.paths : [{
+                id: DEFAULT_PATH_ID,
+                pathData: this.levelData.pathData,
+                pathCoverageData: this.levelData.pathCoverageData,
+                pathStatsPath: this.levelData.pathStatsPath
+            }];
+            this.paths = [];
+            for (const pathConfig of pathConfigs) {
+                if (this.paths.some(path => path.id === pathConfig.id)) {
+                    throw new Error(`Level ${levelId} declares path '${pathConfig.id}' twice.`);
+                }
+                this.paths.push(await this._loadPath(pathConfig, levelId));
             }
 
-            // Store path stats data PATH <-- ADDED Block
-            if (this.levelData.pathStatsPath) {
-                 this.pathStatsPath = this.levelData.pathStatsPath;
-                 ////console.log(`Game: Found path stats data file path: ${this.pathStatsPath}`);
-                 // --- Load path stats directly --- 
-                 try {
-                     const statsResponse = await fetch(this.pathStatsPath);
-                     if (!statsResponse.ok) throw new Error(`HTTP ${statsResponse.status} loading path stats`);
-                     const statsData = await statsResponse.json();
-                     if (typeof statsData.totalPathLength !== 'number' || !Array.isArray(statsData.segmentLengths) || !Array.isArray(statsData.cumulativeDistances)) {
-                         throw new Error('Invalid format in path stats file');
-                     }
-                     this.totalPathLength = statsData.totalPathLength;
-                     this.segmentLengths = statsData.segmentLengths;
-                     this.cumulativeDistances = statsData.cumulativeDistances;
-                     ////console.log(`Game: Loaded path stats - Total Length: ${this.totalPathLength.toFixed(2)}`);
-                 } catch (statsError) {
-                     console.error(`Game: Failed to load or parse path stats from ${this.pathStatsPath}:`, statsError);
-                     throw statsError; // Re-throw to stop initialization
-                 }
-                 // ------------------------------
-            } else {
-                 console.warn(`No pathStatsPath found in level ${levelId} configuration.`);
-                 this.pathStatsPath = null;
-            }
-            // <-- END ADDED Block
+            // The first lane stands in wherever a single path is expected; lengths are averaged over the lanes
+            const primaryPath = this.paths[0];
+            this.pathDataPath = primaryPath.pathDataPath;
+            this.pathStatsPath = primaryPath.pathStatsPath;
+            this.extendedPathData = primaryPath.extendedPathData;
+            this.segmentLengths = primaryPath.segmentLengths;
+            this.cumulativeDistances = primaryPath.cumulativeDistances;
+            this.totalPathLength = this._calculateExpectedPathLength();
+            // With lanes, a top-level pathCoverageData (covering all lanes at once) replaces the combined lane tables
+            this.pathCoverageDataPath = hasLaneList ? (this.levelData.pathCoverageData ?? null) : null;
+            // --- END MODIFIED ---
             
             // Store wave data PATH
             if (this.levelData.waveDataPath) {
@@ -699,34 +918,108 @@ export default class Game {
         }
     }
     
+    /**
+     * Runs the game on Pixi's ticker: real frame time is fed into fixed simulation steps
+     * (see advanceSimulation), then sprites are interpolated between the last two steps.
+     * Gameplay is therefore identical at any frame rate.
+     */
     startGameLoop() {
-        const gameLoop = (timestamp) => {
-            // Calculate deltaTime
-            if (!this.lastTimestamp) {
-                this.lastTimestamp = timestamp; // Initialize on first frame
+        this.app.ticker.add((ticker) => {
+            if (!this.initialized) return; // ADDED: Between levels (see switchLevel) there is nothing to run
+
+            // --- Clamp Delta Time --- 
+            // elapsedMS is the raw frame time; the ticker's own deltaMS is capped by its minFPS
+            const MAX_DELTA_TIME = this.gameConfig?.maxDeltaTimeMs || 250; // Use config, fallback if needed
+            const clampedDeltaTime = Math.min(ticker.elapsedMS, MAX_DELTA_TIME);
+
+            if (this.replayManager?.isReplaying) {
+                this.replayManager.advance(clampedDeltaTime); // Replays apply recorded actions between the same fixed steps
+            } else {
+                this.advanceSimulation(ticker.lastTime, clampedDeltaTime);
             }
-            let deltaTime = timestamp - this.lastTimestamp;
+            // MODIFIED: While the simulation stands still, draw the latest step instead of interpolating
+            this.render(this.isSimulationRunning() ? this.simulationAccumulatorMs / this.fixedStepMs : 1);
+        });
+    }
+
+    // --- ADDED: Fixed timestep ---
+    /**
+     * Accumulates real time and runs as many fixed-length update() steps as it covers.
+     * The remainder carries over to the next frame and drives render interpolation.
+     * The player speed multiplies the time accumulated, i.e. the number of steps, never their
+     * length, so a run plays out identically at any speed.
+     * @param {number} timestamp - The current real timestamp (ms).
+     * @param {number} deltaTime - Clamped real time since the last frame (ms).
+     */
+    advanceSimulation(timestamp, deltaTime) {
+        if (!this.isSimulationRunning()) {
+            // Paused or won: no steps would run, so don't bank the time (it would only cycle the render alpha)
+            this.simulationAccumulatorMs = 0;
             this.lastTimestamp = timestamp;
+            return;
+        }
+        this.simulationAccumulatorMs += deltaTime * this.gameSpeed;
+        while (this.simulationAccumulatorMs >= this.fixedStepMs) {
+            this.update(timestamp, this.fixedStepMs);
+            this.simulationAccumulatorMs -= this.fixedStepMs;
+        }
+    }
 
-            // --- ADDED: Clamp Delta Time --- 
-            const MAX_DELTA_TIME = this.gameConfig?.maxDeltaTimeMs || 250; // Use config, fallback if needed
-            const clampedDeltaTime = Math.min(deltaTime, MAX_DELTA_TIME);
-            // -----------------------------
-
-            this.update(timestamp, clampedDeltaTime); // <-- Use clampedDeltaTime for update
-            // PixiJS app.ticker will handle rendering.
-            // If we need to tie our update to Pixi's ticker:
-            // this.app.ticker.add(delta => this.update(performance.now(), delta * (1000 / PIXI.settings.TARGET_FPMS) ));
-            // For now, keeping existing requestAnimationFrame loop for update logic, Pixi renders separately.
-            requestAnimationFrame(gameLoop);
-        };
-        
-        requestAnimationFrame(gameLoop);
+    /**
+     * @returns {boolean} True if update() advances the simulation: the game is running or in its
+     *   game-over slow-mo, and hasn't been won.
+     */
+    isSimulationRunning() {
+        return !this.isVictory && (this.isGameActive || this.isGameOver);
+    }
+
+    /**
+     * Per-frame visual sync, run after the simulation steps of a frame.
+     * @param {number} alpha - Interpolation factor (0..1) between the previous and latest simulation step.
+     */
+    render(alpha) {
+        if (this.enemyManager) {
+            this.enemyManager.render(alpha);
+        }
+
+        // --- MOVED from update(): Controller UI only needs refreshing once per frame ---
+        if (this.controller && typeof this.controller.updateUI === 'function') {
+             this.controller.updateUI();
+        } else {
+             console.warn("Game loop: Controller or controller.updateUI is missing.");
+        }
     }
+    // --- END ADDED ---
     
+    // --- ADDED: Game clock ---
+    /**
+     * Returns the simulation clock: milliseconds of game time since the game started.
+     * It only advances while the game is running and is scaled by timeScale, so it is the
+     * time base for spawns, cooldowns and all other scheduled gameplay.
+     * @returns {number} Game time in milliseconds.
+     */
+    getGameTime() {
+        return this.gameTime;
+    }
+    // --- END ADDED ---
+
+    // --- ADDED: Headless stepping ---
+    /**
+     * Advances a headless game by the given real time. Headless games have no ticker, so the
+     * caller (e.g. a Node script) drives the simulation; it runs the same fixed steps as the browser loop.
+     * @param {number} deltaTime - Real time to advance, in milliseconds. Clamped like the browser loop.
+     */
+    step(deltaTime) {
+        const MAX_DELTA_TIME = this.gameConfig?.maxDeltaTimeMs || 250;
+        const clampedDeltaTime = Math.min(deltaTime, MAX_DELTA_TIME);
+        this.headlessTimestamp += clampedDeltaTime;
+        this.advanceSimulation(this.headlessTimestamp, clampedDeltaTime);
+    }
+    // --- END ADDED ---
+
     /**
      * Adds a listener function to be called on every game update.
-     * @param {function} callback - The function to call. It will receive (timestamp, deltaTime).
+     * @param {function} callback - The function to call. It will receive (gameTime, effectiveDeltaTime).
      */
     addUpdateListener(callback) {
         if (typeof callback === 'function') {
@@ -738,7 +1031,10 @@ export default class Game {
 
     /**
      * Main game update loop.
-     * @param {number} timestamp - The current high-resolution timestamp.
+     * Advances the game clock (see getGameTime) by the effective delta time and passes that clock,
+     * not the raw timestamp, to every manager. Pausing, slow-mo and tabbing away therefore never
+     * shift spawn timings or cooldowns.
+     * @param {number} timestamp - The current high-resolution (real) timestamp. Only used for the game-over transition.
      * @param {number} deltaTime - The CLAMPED time elapsed (in milliseconds) since the last update.
      */
     update(timestamp, deltaTime) { // Renamed parameter to deltaTime, which IS the clampedDeltaTime
@@ -775,8 +1071,8 @@ export default class Game {
         }
         // --- End Time Scale & Music Fade Calculation ---
 
-        // --- Pausing Check (only if NOT game over) ---
-        if (!this.isGameActive && !this.isGameOver) {
+        // --- Pausing Check (only if NOT game over; a victory freezes the game for good) ---
+        if (!this.isSimulationRunning()) {
             // If paused, only update the last timestamp to avoid large deltaTime jump on resume
             // And skip the rest of the update logic
             this.lastTimestamp = timestamp;
@@ -791,26 +1087,29 @@ export default class Game {
         // Always update last timestamp if game is running (even during slow-mo)
         this.lastTimestamp = timestamp;
 
+        // --- ADDED: Advance the game clock; everything below runs on game time ---
+        this.gameTime += effectiveDeltaTime;
+        const gameTime = this.gameTime;
+
         // --- Update Game Components using Effective Delta Time --- 
         // Prevent WaveManager updates during game over to stop new spawns/timers
         if (this.waveManager && !this.isGameOver) { 
-            this.waveManager.update(timestamp, effectiveDeltaTime);
+            this.waveManager.update(gameTime, effectiveDeltaTime);
         }
         if (this.enemyManager) {
-            this.enemyManager.update(timestamp, effectiveDeltaTime);
+            this.enemyManager.update(gameTime, effectiveDeltaTime);
         }
         if (this.defenceManager) {
-            this.defenceManager.update(timestamp, effectiveDeltaTime);
+            this.defenceManager.update(gameTime, effectiveDeltaTime);
         }
         if (this.base) {
-            this.base.update(timestamp, effectiveDeltaTime);
+            this.base.update(gameTime, effectiveDeltaTime);
         }
         
         // Call registered update listeners
         for (const listener of this.updateListeners) {
             try {
-                // Pass effectiveDeltaTime to listeners as well?
-                listener(timestamp, effectiveDeltaTime); 
+                listener(gameTime, effectiveDeltaTime); 
             } catch (error) {
                 console.error("Error in game update listener:", error);
             }
@@ -819,24 +1118,17 @@ export default class Game {
         // --- ADDED: Trigger StrikeManager update calculation --- 
         if (this.strikeManager) {
             // Call the getter which internally calls the update calculation
-            this.strikeManager.getCumulativeTargetDamageR(timestamp); 
+            this.strikeManager.getCumulativeTargetDamageR(gameTime); 
             // We don't need the return value here, just triggering the update
         }
         // --- END ADDED ---
 
         // --- ADDED: Update StrikeManager ---
         if (this.strikeManager?.isConfigLoaded()) {
-            this.strikeManager.update(timestamp, effectiveDeltaTime);
-        }
-        // --- END ADDED ---
-
-        // --- ADDED: Call Controller UI Update ---
-        if (this.controller && typeof this.controller.updateUI === 'function') {
-             this.controller.updateUI();
-        } else {
-             console.warn("Game loop: Controller or controller.updateUI is missing.");
+            this.strikeManager.update(gameTime, effectiveDeltaTime);
         }
         // --- END ADDED ---
+        // Controller UI is refreshed once per frame in render()
     }
     
     // render() { // Method to be removed
@@ -910,33 +1202,202 @@ export default class Game {
     // --- End Getters ---
 
     // --- Path Metric Getters --- 
-    getTotalPathLength() {
-        return this.totalPathLength;
+    // MODIFIED: Each takes an optional lane ID; without one they describe the first lane, except
+    // getTotalPathLength(), which then gives the length an enemy walks on average over the lanes.
+    getTotalPathLength(pathId = null) {
+        if (pathId === null) return this.totalPathLength;
+        return this.getPath(pathId)?.totalPathLength ?? null;
     }
 
-    getSegmentLengths() {
-        return this.segmentLengths;
+    getSegmentLengths(pathId = null) {
+        if (pathId === null) return this.segmentLengths;
+        return this.getPath(pathId)?.segmentLengths ?? [];
     }
 
-    getCumulativeDistances() {
-        return this.cumulativeDistances;
+    getCumulativeDistances(pathId = null) {
+        if (pathId === null) return this.cumulativeDistances;
+        return this.getPath(pathId)?.cumulativeDistances ?? [];
     }
     // --- End Path Metric Getters ---
 
     // --- Path Coordinate Getter ---
-    getExtendedPathData() {
-        return this.extendedPathData;
+    getExtendedPathData(pathId = null) {
+        if (pathId === null) return this.extendedPathData;
+        return this.getPath(pathId)?.extendedPathData ?? [];
     }
     // --- End Path Coordinate Getter ---
 
+    // --- ADDED: Spawn paths (lanes) ---
+    /**
+     * @param {string|null} [pathId=null] - Lane ID from the level's `paths`; null for the first lane.
+     * @returns {object|null} The lane ({ id, weight, extendedPathData, totalPathLength, segmentLengths,
+     *   cumulativeDistances, coverageLookup, exclusionRadius, criticalZoneEntryWaypointIndex }), or null if unknown.
+     */
+    getPath(pathId = null) {
+        if (pathId === null) return this.paths[0] ?? null;
+        return this.paths.find(path => path.id === pathId) ?? null;
+    }
+
+    /**
+     * @returns {object[]} All lanes, in level order. See getPath().
+     */
+    getPaths() {
+        return this.paths;
+    }
+
+    /**
+     * Loads one lane: its waypoints (CSV) and stats (JSON). Coverage is loaded later, by loadPathCoverageData().
+     * @param {object} pathConfig - Entry of the level's `paths`: { id, pathData, pathStatsPath, pathCoverageData,
+     *   weight (share of each wave, default 1), pathExclusionRadius (default: the level's) }.
+     * @param {number|string} levelId - For error messages.
+     * @returns {Promise<object>} The lane, see getPath().
+     * @private
+     */
+    async _loadPath(pathConfig, levelId) {
+        const pathId = pathConfig?.id ?? DEFAULT_PATH_ID;
+        if (!pathConfig?.pathData || !pathConfig.pathStatsPath) {
+            throw new Error(`Level ${levelId}: path '${pathId}' needs pathData and pathStatsPath.`);
+        }
+
+        let extendedPathData;
+        try {
+            const pathCsv = await loadText(pathConfig.pathData);
+            extendedPathData = pathCsv.trim().split('\n').map(line => {
+                const [x, y] = line.split(',').map(Number);
+                if (isNaN(x) || isNaN(y)) {
+                    throw new Error(`Invalid data in path CSV line: ${line}`);
+                }
+                return { x, y };
+            });
+            if (extendedPathData.length < 2) {
+                throw new Error('Path requires at least two waypoints.');
+            }
+        } catch (pathError) {
+            console.error(`Game: Failed to load or parse path data from ${pathConfig.pathData}:`, pathError);
+            throw pathError; // Re-throw to stop initialization
+        }
+
+        let statsData;
+        try {
+            statsData = await loadJson(pathConfig.pathStatsPath);
+            if (typeof statsData.totalPathLength !== 'number' || !Array.isArray(statsData.segmentLengths) || !Array.isArray(statsData.cumulativeDistances)) {
+                throw new Error('Invalid format in path stats file');
+            }
+        } catch (statsError) {
+            console.error(`Game: Failed to load or parse path stats from ${pathConfig.pathStatsPath}:`, statsError);
+            throw statsError; // Re-throw to stop initialization
+        }
+
+        return {
+            id: pathId,
+            weight: (typeof pathConfig.weight === 'number' && pathConfig.weight >= 0) ? pathConfig.weight : 1,
+            pathDataPath: pathConfig.pathData,
+            pathStatsPath: pathConfig.pathStatsPath,
+            coverageDataPath: pathConfig.pathCoverageData ?? null,
+            extendedPathData,
+            totalPathLength: statsData.totalPathLength,
+            segmentLengths: statsData.segmentLengths,
+            cumulativeDistances: statsData.cumulativeDistances,
+            coverageLookup: [],
+            exclusionRadius: pathConfig.pathExclusionRadius ?? this.levelData.pathExclusionRadius,
+            criticalZoneEntryWaypointIndex: -1
+        };
+    }
+
+    /**
+     * @returns {number[]} Each lane's share of a wave's enemies (weights normalised to sum 1).
+     * @private
+     */
+    _getPathShares() {
+        const totalWeight = this.paths.reduce((sum, path) => sum + path.weight, 0);
+        if (totalWeight <= 0) return this.paths.map(() => 1 / this.paths.length);
+        return this.paths.map(path => path.weight / totalWeight);
+    }
+
+    /**
+     * The path length an enemy walks on average: lane lengths weighted by the lanes' share of each wave.
+     * This is the L of the economy (prices, wear, alpha, strikes).
+     * @returns {number}
+     * @private
+     */
+    _calculateExpectedPathLength() {
+        if (this.paths.length === 1) return this.paths[0].totalPathLength;
+        const shares = this._getPathShares();
+        return this.paths.reduce((sum, path, i) => sum + shares[i] * path.totalPathLength, 0);
+    }
+
+    /**
+     * Combines the lanes' coverage tables into one, for the economy's single-path formulas: at each
+     * range, the share-weighted path length in range divided by the expected path length. So
+     * L * f_e is still the path length an average enemy spends in range. That assumes a tower covers
+     * every lane as well as the lane's own table says, which holds where lanes run together (e.g.
+     * near the base). Levels whose lanes split up can precompute a level-wide table instead.
+     * @returns {number[]} Coverage fraction by range (index 0 unused), like loadCsvLookup().
+     * @private
+     */
+    _combinePathCoverage() {
+        if (this.paths.length === 1) return this.paths[0].coverageLookup;
+        const shares = this._getPathShares();
+        const expectedLength = this._calculateExpectedPathLength();
+        const maxLength = Math.max(...this.paths.map(path => path.coverageLookup.length));
+        const combined = [0];
+        for (let range = 1; range < maxLength; range++) {
+            let lengthInRange = 0;
+            this.paths.forEach((path, i) => {
+                const lookup = path.coverageLookup;
+                const coverage = lookup[Math.min(range, lookup.length - 1)] || 0;
+                lengthInRange += shares[i] * path.totalPathLength * coverage;
+            });
+            combined.push(expectedLength > 0 ? lengthInRange / expectedLength : 0);
+        }
+        return combined;
+    }
+
+    /**
+     * Finds the waypoint that enemies on a lane target once they enter the critical zone (the last
+     * criticalPercent of the lane), for the strike duress cooldown.
+     * @param {object} path - The lane.
+     * @param {number} criticalPercent - From StrikeManager.getCriticalExtendedPathZonePercent().
+     * @returns {number} The waypoint index.
+     * @private
+     */
+    _calculateCriticalZoneEntryWaypointIndex(path, criticalPercent) {
+        const criticalDistanceOnExtendedPath = path.totalPathLength * (1 - criticalPercent);
+        const cumulativeDistances = path.cumulativeDistances;
+        let calculatedIndex = -1;
+
+        for (let i = 0; i < cumulativeDistances.length; i++) {
+            if (criticalDistanceOnExtendedPath <= cumulativeDistances[i]) {
+                calculatedIndex = i + 1; // Enemies target the next waypoint in sequence
+                break;
+            }
+        }
+
+        if (calculatedIndex === -1 && criticalDistanceOnExtendedPath > 0 && cumulativeDistances.length > 0 && criticalDistanceOnExtendedPath > cumulativeDistances[cumulativeDistances.length - 1]) {
+            calculatedIndex = path.extendedPathData.length - 1;
+        } else if (calculatedIndex === -1) {
+            calculatedIndex = path.extendedPathData.length > 0 ? path.extendedPathData.length - 1 : 0;
+        }
+        return calculatedIndex;
+    }
+    // --- END ADDED ---
+
     // *** ADDED: Method to load coverage data ***
+    // MODIFIED: Loads every lane's table and combines them (see _combinePathCoverage), unless the
+    // level provides one table for all lanes
     async loadPathCoverageData() {
-        if (!this.pathCoverageDataPath) {
-            console.error("Game: Cannot load path coverage, path is not set.");
-            return;
-        }
         try {
-            this.pathCoverageLookup = await loadCsvLookup(this.pathCoverageDataPath);
+            if (this.pathCoverageDataPath) {
+                this.pathCoverageLookup = await loadCsvLookup(this.pathCoverageDataPath);
+            } else {
+                for (const path of this.paths) {
+                    if (!path.coverageDataPath) {
+                        throw new Error(`Path '${path.id}' has no pathCoverageData.`);
+                    }
+                    path.coverageLookup = await loadCsvLookup(path.coverageDataPath);
+                }
+                this.pathCoverageLookup = this._combinePathCoverage();
+            }
             this.pathCoverageLoaded = true;
             ////console.log("Game: Path coverage data loaded.");
         } catch (error) {
@@ -1076,6 +1537,38 @@ export default class Game {
         }
     }
 
+    // --- ADDED: Named difficulty (shared by the difficulty buttons, simulations and replays) ---
+    /**
+     * Applies a difficulty from gameConfig.difficultyScalars. 'classic' also disables wear and airstrikes.
+     * @param {string} difficulty - Difficulty key (e.g. 'normal').
+     * @returns {boolean} False if the difficulty is unknown.
+     */
+    applyDifficulty(difficulty) {
+        const scalar = this.gameConfig?.difficultyScalars?.[difficulty];
+        if (scalar === undefined) {
+            console.error(`Game.applyDifficulty: Unknown difficulty '${difficulty}'.`);
+            return false;
+        }
+        this.selectedDifficulty = difficulty;
+        this.setDifficultyScalar(scalar);
+        // Classic mode: no wear, no airstrikes
+        const isClassic = difficulty === 'classic';
+        this.setWearEnabled(!isClassic);
+        this.setAirstrikesEnabled(!isClassic);
+        return true;
+    }
+    // --- END ADDED ---
+
+    // --- ADDED: Endless mode ---
+    /**
+     * Endless mode ignores maxWaves: waves keep coming until the base falls. Choose before startGame().
+     * @param {boolean} isEnabled - True for endless mode, false to play the level's campaign.
+     */
+    setEndlessMode(isEnabled) {
+        this.isEndlessMode = !!isEnabled;
+    }
+    // --- END ADDED ---
+
     setWearEnabled(isEnabled) {
         this.isWearEnabled = !!isEnabled;
         // console.log(`Game: Wear ${this.isWearEnabled ? 'enabled' : 'disabled'}`);
@@ -1112,8 +1605,26 @@ export default class Game {
         // 0. Reset Classic Mode Flags FIRST (to ensure subsequent manager resets use correct state)
         this.isWearEnabled = true;
         this.areAirstrikesEnabled = true;
+        this.isEndlessMode = false; // Chosen again with the difficulty
         // console.log("Game.reset: Wear and Airstrikes re-enabled by default.");
 
+        // 0a. A reset ends any replay in progress and starts a new telemetry log
+        if (this.replayManager) {
+            this.replayManager.stopReplay();
+        }
+        if (this.telemetryManager) {
+            this.telemetryManager.reset();
+        }
+
+        // 0b. Restart the RNG: a fixed seed replays the same run, otherwise roll a new one
+        if (this.rng) {
+            if (this.isSeedFixed) {
+                this.rng.reset();
+            } else {
+                this.rng.setSeed(SeededRandom.generateSeed());
+            }
+        }
+
         // 1. Reset Wave Manager
         if (this.waveManager) {
             this.waveManager.reset(); // Call the manager's own reset method
@@ -1144,11 +1655,15 @@ export default class Game {
             this.strikeManager.resetForNewGame();
         }
 
-        // 7. Reset Game Loop Timer
+        // 7. Reset Game Loop Timer and Game Clock
         this.lastTimestamp = 0;
+        this.gameTime = 0;
+        this.simulationAccumulatorMs = 0;
+        this.gameSpeed = 1; // New games start at normal speed
 
         // 8. Reset Game Over / Slow-Mo State
         this.isGameOver = false;
+        this.isVictory = false;
         this.timeScale = 1.0;
         this.slowMoStartTime = null;
 
@@ -1194,6 +1709,12 @@ export default class Game {
             this.strikeManager.initializeBountyThreshold();
         }
         // --- END ADDED ---
+
+        // --- ADDED: Record player actions for replays (unless this game is a replay) ---
+        if (this.replayManager && !this.replayManager.isReplaying) {
+            this.replayManager.startRecording();
+        }
+        // --- END ADDED ---
     }
 
     /**
@@ -1204,6 +1725,203 @@ export default class Game {
         this.isGameActive = false;
     }
 
+    // --- ADDED: Save/resume support ---
+    /**
+     * Resumes updates after pauseGame() or restoreState(), without restarting waves.
+     */
+    resumeGame() {
+        if (this.isGameOver) return;
+        this.isGameActive = true;
+        this.lastTimestamp = 0;
+        this.simulationAccumulatorMs = 0;
+    }
+
+    // --- ADDED: Auto-pause ---
+    /**
+     * Pauses the game when the tab is hidden or the window loses focus. While hidden the ticker
+     * stops, so without this the game would lurch on return (one clamped frame after a long gap).
+     * The game stays paused until the player resumes it.
+     */
+    setupAutoPause() {
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.autoPause();
+        });
+        window.addEventListener('blur', () => this.autoPause());
+    }
+
+    /**
+     * Pauses a running game (or replay) and notifies the auto-pause listeners.
+     * Does nothing if nothing is running.
+     */
+    autoPause() {
+        const replayManager = this.replayManager;
+        if (replayManager?.isReplaying) {
+            if (!replayManager.isPaused) replayManager.togglePause(); // The replay controls show "Play"
+            return;
+        }
+        if (!this.canControlSpeed() || !this.isGameActive) return;
+
+        this.pauseGame();
+        this.simulationAccumulatorMs = 0; // Drop the part-step left over from the last frame
+        for (const listener of this.autoPauseListeners) {
+            try {
+                listener();
+            } catch (error) {
+                console.error("Error in auto-pause listener:", error);
+            }
+        }
+    }
+
+    /**
+     * Adds a listener called after autoPause() has paused a running game, e.g. to show a "Paused" menu.
+     * @param {function(): void} callback - The function to call.
+     */
+    addAutoPauseListener(callback) {
+        if (typeof callback === 'function') {
+            this.autoPauseListeners.push(callback);
+        } else {
+            console.error("Attempted to add non-function auto-pause listener.", callback);
+        }
+    }
+    // --- END ADDED ---
+
+    // --- ADDED: Player speed controls ---
+    /**
+     * @returns {boolean} True while a game is in progress that the player can pause or speed up.
+     */
+    canControlSpeed() {
+        return !!this.waveManager?.isStarted && !this.isGameOver && !this.replayManager?.isReplaying;
+    }
+
+    /**
+     * Pauses a running game, or resumes a paused one.
+     * @returns {boolean} True if the pause state changed.
+     */
+    togglePause() {
+        if (!this.canControlSpeed()) return false;
+        if (this.isGameActive) {
+            this.pauseGame();
+        } else {
+            this.resumeGame();
+        }
+        return true;
+    }
+
+    /**
+     * Sets the player speed multiplier. Wave countdowns, cooldowns and everything else on the
+     * game clock follow it, since more fixed steps run per frame.
+     * @param {number} speed - One of getGameSpeeds().
+     * @returns {boolean} True if the speed is valid.
+     */
+    setGameSpeed(speed) {
+        if (!GAME_SPEEDS.includes(speed)) {
+            console.error(`Game.setGameSpeed: Invalid speed ${speed}. Expected one of ${GAME_SPEEDS.join(', ')}.`);
+            return false;
+        }
+        this.gameSpeed = speed;
+        return true;
+    }
+
+    /**
+     * Moves one step up or down the speed list, stopping at either end.
+     * @param {number} direction - 1 for faster, -1 for slower.
+     */
+    changeGameSpeed(direction) {
+        const index = GAME_SPEEDS.indexOf(this.gameSpeed) + Math.sign(direction);
+        this.setGameSpeed(GAME_SPEEDS[Math.max(0, Math.min(GAME_SPEEDS.length - 1, index))]);
+    }
+
+    /**
+     * @returns {number[]} The available speed multipliers, slowest first.
+     */
+    getGameSpeeds() {
+        return GAME_SPEEDS;
+    }
+    // --- END ADDED ---
+
+    /**
+     * @returns {boolean} True while a game is in progress and can be saved.
+     */
+    canSave() {
+        return !!this.waveManager?.isStarted && !this.isGameOver && !this.replayManager?.isReplaying;
+    }
+
+    /**
+     * Captures the full game state (settings, RNG position, clock and every manager) as plain JSON data.
+     * Strikers in flight are not saved.
+     * @returns {object} Serializable save data. See restoreState().
+     */
+    serializeState() {
+        return {
+            version: SAVE_FORMAT_VERSION,
+            savedAt: new Date().toISOString(),
+            levelId: this.levelId,
+            difficulty: this.selectedDifficulty,
+            seed: this.getSeed(),
+            rngState: this.rng ? this.rng.getState() : null,
+            gameTime: this.gameTime,
+            difficultyScalar: this.difficultyScalar,
+            isWearEnabled: this.isWearEnabled,
+            areAirstrikesEnabled: this.areAirstrikesEnabled,
+            isEndlessMode: this.isEndlessMode,
+            base: this.base?.serializeState() ?? null,
+            defences: this.defenceManager?.serializeState() ?? null,
+            enemies: this.enemyManager?.serializeState() ?? null,
+            waves: this.waveManager?.serializeState() ?? null,
+            strikes: this.strikeManager?.serializeState() ?? null,
+            telemetry: this.telemetryManager?.serializeState() ?? null
+        };
+    }
+
+    /**
+     * Replaces the current game with one captured by serializeState(). The game is left paused;
+     * call resumeGame() to continue.
+     * @param {object} state - Save data from serializeState().
+     * @returns {Promise<boolean>} True if the save was restored.
+     */
+    async restoreState(state) {
+        if (!state || state.version !== SAVE_FORMAT_VERSION) {
+            console.error(`Game.restoreState: Unsupported save data (version ${state?.version}, expected ${SAVE_FORMAT_VERSION}).`);
+            return false;
+        }
+        if (state.levelId !== this.levelId && !(await this.switchLevel(state.levelId))) { // MODIFIED: Load the save's level first
+            console.error(`Game.restoreState: Could not load level ${state.levelId} for this save.`);
+            return false;
+        }
+
+        this.pauseGame();
+        this.reset();
+        this.replayManager?.discardRecording(); // Replays start from a new game, so this run can no longer be recorded
+        this.selectedDifficulty = state.difficulty ?? null;
+
+        // Settings first: costs, wear parameters and enemy scaling depend on them
+        this.setWearEnabled(state.isWearEnabled);
+        this.setAirstrikesEnabled(state.areAirstrikesEnabled);
+        this.setEndlessMode(state.isEndlessMode);
+        this.setDifficultyScalar(state.difficultyScalar);
+        if (this.priceManager) {
+            await this.priceManager.recalculateAndStoreCosts();
+        }
+        if (this.defenceManager) {
+            await this.defenceManager.calculateWearParameters();
+        }
+
+        this.base?.restoreState(state.base);
+        this.defenceManager?.restoreState(state.defences);
+        this.enemyManager?.restoreState(state.enemies);
+        this.waveManager?.restoreState(state.waves);
+        this.strikeManager?.restoreState(state.strikes);
+        this.telemetryManager?.restoreState(state.telemetry);
+
+        this.gameTime = state.gameTime ?? 0;
+        if (this.rng && state.seed !== null) {
+            this.rng.setSeed(state.seed);
+            this.rng.setState(state.rngState ?? state.seed);
+        }
+        return true;
+    }
+    // --- END ADDED ---
+
     /**
      * Initiates the game over sequence, including slow-motion transition and music fade-out.
      */
@@ -1213,9 +1931,45 @@ export default class Game {
         // console.log("Game: Starting game over sequence."); // Optional log
         this.isGameOver = true;
         this.isGameActive = false;
-        this.slowMoStartTime = performance.now(); // Record start time for transition
+        this.slowMoStartTime = this.headless ? this.headlessTimestamp : performance.now(); // Record start time for transition
         // Volume will start changing in the update loop based on isGameOver & slowMoStartTime
+        this.replayManager?.finishRecording(); // ADDED: The recorded run ends here
+    }
+
+    // --- ADDED: Campaign victory ---
+    /**
+     * Ends the game after the last campaign wave has cleared. Unlike a defeat there is no
+     * slow-motion: the simulation freezes on the spot (see update()).
+     */
+    startVictorySequence() {
+        if (this.isGameOver) return; // Already over
+
+        this.isGameOver = true; // Shared with defeat: no more saving, speed controls or resuming
+        this.isVictory = true;
+        this.isGameActive = false;
+        this.replayManager?.finishRecording(); // The recorded run ends here
+    }
+
+    /**
+     * Summarises the run for the end-of-level results screen.
+     * @returns {{ isVictory: boolean, wavesCleared: number, maxWaves: number|null, baseHp: number, baseMaxHp: number, funds: number, kills: number, gameTime: number }}
+     */
+    getResults() {
+        const waveManager = this.waveManager;
+        // Without a victory the current wave was still running when the game ended
+        const wavesCleared = waveManager?.isVictory ? waveManager.currentWaveNumber : Math.max(0, (waveManager?.currentWaveNumber ?? 0) - 1);
+        return {
+            isVictory: this.isVictory,
+            wavesCleared,
+            maxWaves: waveManager?.getMaxWaves() ?? null,
+            baseHp: this.base?.currentHp ?? 0,
+            baseMaxHp: this.base?.maxHp ?? 0,
+            funds: this.base?.currentFunds ?? 0,
+            kills: this.enemyManager?.killCount ?? 0,
+            gameTime: this.gameTime
+        };
     }
+    // --- END ADDED ---
 
     /**
      * Creates the Audio element and sets its properties.
@@ -1256,19 +2010,31 @@ export default class Game {
     // --- END ADDED ---
 
     // --- ADDED: Getter for Critical Zone Waypoint Index (Optional) ---
-    getCriticalZoneEntryWaypointIndex() {
-        return this.criticalZoneEntryWaypointIndex;
+    getCriticalZoneEntryWaypointIndex(pathId = null) {
+        if (pathId === null) return this.criticalZoneEntryWaypointIndex;
+        return this.getPath(pathId)?.criticalZoneEntryWaypointIndex ?? -1;
+    }
+    // --- END ADDED ---
+
+    // --- ADDED: Path lookup (the standalone helper below was never attached to the Game) ---
+    /**
+     * @param {number} targetDistance - Distance along the extended path in pixels.
+     * @param {string|null} [pathId] - Lane ID (default: first lane).
+     * @returns {{x: number, y: number}|null} The point at that distance (the path end beyond it), or null if unavailable.
+     */
+    getPointAtDistance(targetDistance, pathId = null) {
+        return getPointAtDistance.call(this, targetDistance, pathId);
     }
     // --- END ADDED ---
 }
 
 // --- Standalone Path Utility Function --- 
 // (Moved from EnemyManager, adapted to use 'this' for game data)
-function getPointAtDistance(targetDistance) {
+function getPointAtDistance(targetDistance, pathId = null) { // MODIFIED: Optional lane ID (default: first lane)
     // Use 'this' which will be bound to the Game instance
-    const pathData = this.getExtendedPathData(); // NEW way - get path from Game
-    const cumulativeDistances = this.getCumulativeDistances();
-    const segmentLengths = this.getSegmentLengths();
+    const pathData = this.getExtendedPathData(pathId); // NEW way - get path from Game
+    const cumulativeDistances = this.getCumulativeDistances(pathId);
+    const segmentLengths = this.getSegmentLengths(pathId);
 
     if (!pathData || pathData.length === 0 || !cumulativeDistances || !segmentLengths) {
         console.warn(`getPointAtDistance: Called when path data or metrics not loaded.`);
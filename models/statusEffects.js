@@ -0,0 +1,163 @@
+/**
+ * Timed status effects on an enemy. Towers and puddles apply effects through Enemy.applyStatusEffect();
+ * the enemy resolves them once per simulation step, at the start of Enemy.update(), so the outcome
+ * doesn't depend on the order in which defences update.
+ *
+ * | Type         | Magnitude                                    | Same source applies again     | Several sources          |
+ * |--------------|----------------------------------------------|-------------------------------|--------------------------|
+ * | `slow`       | Speed factor (0.5 = half speed)              | Refreshes magnitude/duration  | Strongest (lowest) wins  |
+ * | `burn`       | Damage per second (attackStrength units)     | Refreshes magnitude/duration  | Strongest (highest) wins |
+ * | `poison`     | Damage per second per stack                  | Adds a stack                  | All stacks add up        |
+ * | `stun`       | -                                            | Refreshes duration            | Longest wins             |
+ * | `armorBreak` | Extra damage taken (0.25 = 25% more damage)  | Refreshes magnitude/duration  | Strongest (highest) wins |
+ *
+ * - Damage over time is scaled by the enemy's healthScaleFactor, like tower damage, and is dealt
+ *   through Enemy.hit() so the source is reported as the killer.
+ * - Poison holds at most `maxStacks` stacks (default 5); when full, a new stack replaces the one
+ *   closest to expiring.
+ * - A stunned enemy neither moves nor attacks.
+ */
+export const STATUS_EFFECT_TYPES = Object.freeze({
+    SLOW: 'slow',
+    BURN: 'burn',
+    POISON: 'poison',
+    STUN: 'stun',
+    ARMOR_BREAK: 'armorBreak'
+});
+
+const KNOWN_TYPES = new Set(Object.values(STATUS_EFFECT_TYPES));
+const DEFAULT_POISON_MAX_STACKS = 5;
+
+export default class StatusEffects {
+    constructor(enemy) {
+        if (!enemy) {
+            throw new Error("StatusEffects requires a valid Enemy instance.");
+        }
+        this.enemy = enemy;
+        this.effects = []; // Active instances: { type, magnitude, remainingMs, source, sourceId }
+
+        // Modifiers from the last resolve(), read by the enemy during its step
+        this.speedMultiplier = 1.0;
+        this.damageTakenMultiplier = 1.0;
+        this.isStunned = false;
+    }
+
+    /**
+     * Adds an effect, or refreshes the one the same source applied earlier (see the stacking rules above).
+     * @param {object} effect
+     * @param {string} effect.type - One of STATUS_EFFECT_TYPES.
+     * @param {number} effect.duration - Duration in ms.
+     * @param {number} [effect.magnitude] - See the table above (ignored for stun).
+     * @param {object|null} [effect.source] - The Defender applying the effect.
+     * @param {number} [effect.maxStacks] - Poison only: stack limit.
+     * @returns {boolean} True if the effect was applied.
+     */
+    apply({ type, duration, magnitude = 0, source = null, maxStacks = DEFAULT_POISON_MAX_STACKS }) {
+        if (!KNOWN_TYPES.has(type)) {
+            console.warn(`StatusEffects: Unknown effect type '${type}'. Ignored.`);
+            return false;
+        }
+        if (typeof duration !== 'number' || !(duration > 0)) {
+            console.warn(`StatusEffects: Effect '${type}' needs a positive duration. Ignored.`);
+            return false;
+        }
+        const instance = { type, magnitude, remainingMs: duration, source, sourceId: source?.id ?? null };
+
+        if (type === STATUS_EFFECT_TYPES.POISON) {
+            const stacks = this.effects.filter(effect => effect.type === type);
+            if (stacks.length >= Math.max(1, maxStacks)) {
+                const oldest = stacks.reduce((a, b) => (b.remainingMs < a.remainingMs ? b : a));
+                this.effects.splice(this.effects.indexOf(oldest), 1);
+            }
+            this.effects.push(instance);
+            return true;
+        }
+
+        const existing = this.effects.find(effect => effect.type === type && effect.source === source);
+        if (existing) {
+            existing.magnitude = magnitude;
+            existing.remainingMs = type === STATUS_EFFECT_TYPES.STUN ? Math.max(existing.remainingMs, duration) : duration;
+        } else {
+            this.effects.push(instance);
+        }
+        return true;
+    }
+
+    /**
+     * Resolves all active effects for one simulation step: sets the modifiers, deals damage over
+     * time and drops expired effects. Called once per step by Enemy.update().
+     * @param {number} deltaTime - Step length in ms.
+     */
+    resolve(deltaTime) {
+        let slowFactor = 1.0;
+        let armorBreak = 0;
+        let strongestBurn = null;
+        let stunned = false;
+        const poisonStacks = [];
+
+        for (const effect of this.effects) {
+            switch (effect.type) {
+                case STATUS_EFFECT_TYPES.SLOW:
+                    slowFactor = Math.min(slowFactor, Math.max(0, effect.magnitude));
+                    break;
+                case STATUS_EFFECT_TYPES.ARMOR_BREAK:
+                    armorBreak = Math.max(armorBreak, effect.magnitude);
+                    break;
+                case STATUS_EFFECT_TYPES.BURN:
+                    if (!strongestBurn || effect.magnitude > strongestBurn.magnitude) strongestBurn = effect;
+                    break;
+                case STATUS_EFFECT_TYPES.POISON:
+                    poisonStacks.push(effect);
+                    break;
+                case STATUS_EFFECT_TYPES.STUN:
+                    stunned = true;
+                    break;
+            }
+        }
+
+        this.speedMultiplier = slowFactor;
+        this.damageTakenMultiplier = 1.0 + armorBreak;
+        this.isStunned = stunned;
+
+        // Damage over time, for the part of the step each effect was still active
+        const damageOverTime = strongestBurn ? [strongestBurn, ...poisonStacks] : poisonStacks;
+        for (const effect of damageOverTime) {
+            if (this.enemy.isDead) break;
+            const activeMs = Math.min(deltaTime, effect.remainingMs);
+            const damage = effect.magnitude * (this.enemy.healthScaleFactor ?? 1) * (activeMs / 1000);
+            if (damage > 0) {
+                this.enemy.hit(damage, effect.source, { damageType: effect.type, overTime: true });
+            }
+        }
+
+        this.effects = this.effects.filter(effect => {
+            effect.remainingMs -= deltaTime;
+            return effect.remainingMs > 0;
+        });
+    }
+
+    /**
+     * @param {string} type - One of STATUS_EFFECT_TYPES.
+     * @returns {boolean} True if an effect of this type is active.
+     */
+    has(type) {
+        return this.effects.some(effect => effect.type === type);
+    }
+
+    // --- Save/resume support ---
+    /**
+     * @returns {object[]} The active effects. Sources are saved by definition id only.
+     */
+    serializeState() {
+        return this.effects.map(({ type, magnitude, remainingMs, sourceId }) => ({ type, magnitude, remainingMs, sourceId }));
+    }
+
+    /**
+     * @param {object[]} states - From serializeState(). Restored effects have no source object.
+     */
+    restoreState(states) {
+        this.effects = (states || [])
+            .filter(state => KNOWN_TYPES.has(state.type) && state.remainingMs > 0)
+            .map(state => ({ type: state.type, magnitude: state.magnitude ?? 0, remainingMs: state.remainingMs, source: null, sourceId: state.sourceId ?? null }));
+    }
+}
@@ -38,7 +38,7 @@ export default class Striker {
         if (!bombPayload ||
             typeof bombPayload.strengthA !== 'number' ||
             (bombPayload.strengthA < 0) || 
-            !bombPayload.explosionAnimation || 
+            (!bombPayload.explosionAnimation && !gameInstance.headless) || // Headless payloads carry no visuals
             // bombPayload.impactStdDevPixels is no longer used by Striker directly for calculation
             typeof bombPayload.minDamageThreshold !== 'number' || bombPayload.minDamageThreshold < 0 ) {
             console.error("Striker constructor: Invalid bombPayload provided (impactStdDevPixels check removed).", bombPayload);
@@ -107,7 +107,7 @@ export default class Striker {
         // MODIFIED: Only play for real strikes
         if (this.isRealStrike && this.bombPayload && this.bombPayload.explosionAnimation) {
             this._playExplosionAnimation(impactCoords); 
-        } else if (!this.isRealStrike) {
+        } else if (!this.isRealStrike || this.gameInstance.headless) {
             // Optional: Log that simulation is skipping visuals
             // console.log("Striker (Simulation): Skipping explosion animation and screen shake.");
         } else {
@@ -152,7 +152,7 @@ export default class Striker {
                 const potentialDamage = this.bombPayload.strengthA / (effectiveDistance * effectiveDistance);
 
                 if (potentialDamage >= (this.bombPayload.minDamageThreshold ?? 0)) {
-                    const damageTaken = defender.hit(potentialDamage);
+                    const damageTaken = defender.hit(potentialDamage, 'bomb');
                     if (typeof damageTaken === 'number') {
                         totalDeltaRFromDefenders += damageTaken;
                     }
@@ -177,7 +177,7 @@ export default class Striker {
                 const potentialDamage = this.bombPayload.strengthA / (effectiveDistance * effectiveDistance);
 
                 if (potentialDamage >= (this.bombPayload.minDamageThreshold ?? 0)) {
-                    enemy.hit(potentialDamage);
+                    enemy.hit(potentialDamage, this, { damageType: 'explosive' });
                 }
             }
         }
@@ -254,14 +254,11 @@ export default class Striker {
             }
 
             const durationMs = (totalDistance / animationSpeedPixelsPerSec) * 1000;
-            let startTime = null;
+            // MODIFIED: Fly on the game clock, so the strike pauses and speeds up with the game
+            const startTime = this.gameInstance.getGameTime();
 
-            const tickerFunction = (ticker) => {
-                if (!startTime) {
-                    startTime = ticker.lastTime; // Use ticker's lastTime on first frame for consistency
-                }
-
-                const elapsedTime = ticker.lastTime - startTime;
+            const tickerFunction = () => {
+                const elapsedTime = this.gameInstance.getGameTime() - startTime;
                 const progress = Math.min(elapsedTime / durationMs, 1);
                 
                 shadowSprite.x = initialX + (totalDistance * progress);
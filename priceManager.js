@@ -111,7 +111,7 @@ class PriceManager extends EventTarget {
         // --- End Get coverage data --- 
 
         const defenceDefinitions = this.defenceManager.getDefinitions();
-        const enemyDefinitions = this.enemyManager.getEnemyDefinitions();
+        const enemyDefinitions = this.enemyManager.getRegularEnemyDefinitions(); // Bosses aren't part of the wave mix
         // Use game.getAlpha() to get the live effective alpha (a * α₀)
         const effective_alpha = this.game.getAlpha();
         const costs = {};
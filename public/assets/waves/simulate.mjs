@@ -0,0 +1,221 @@
+/**
+ * Headless game simulation.
+ *
+ * Runs complete games in Node using the real game code (no browser, no rendering)
+ * with a simple greedy placement bot, and reports per-wave economy stats. Use it to
+ * check the break-even theory (α₀, bounty and wear scaling) against analysis.js.
+ *
+ * Usage:
+ *   npm run simulate -- [--difficulty normal] [--waves 20] [--dt 16.667]
+ *                       [--defence laser_tower] [--seed 12345] [--level 1] [--out simulation-results.json]
+ */
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Game from '../../../models/game.js';
+
+// --- Configuration ---
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PUBLIC_ROOT = path.join(__dirname, '..', '..'); // Asset paths in the game are relative to public/
+const DEFAULT_OPTIONS = {
+    difficulty: 'normal',   // Key in gameConfig.difficultyScalars ('classic' also disables wear and airstrikes)
+    waves: 20,              // Stop once this many waves have started (and the last one has been cleared); a campaign ends at its maxWaves
+    dt: 1000 / 60,          // Frame time fed to the fixed-step loop (results do not depend on it)
+    defence: 'laser_tower', // The only defence type the bot buys
+    seed: null,             // RNG seed; same seed + same options = same run
+    level: null,            // Level ID from assets/levels.json (default: first level)
+    out: null               // Optional JSON output path (relative to this folder)
+};
+const CANDIDATE_GRID_SPACING = 32; // Pixels between candidate placement spots
+const PATH_SAMPLE_SPACING = 10;    // Pixels between path samples used for scoring spots
+const MIN_DEFENCE_SPACING = 40;    // Bot never stacks defences closer than this
+
+/**
+ * Parses --key value pairs from the command line over the defaults.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {object} Options.
+ */
+function parseArgs(argv) {
+    const options = { ...DEFAULT_OPTIONS };
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i].replace(/^--/, '');
+        if (!(key in options)) {
+            console.warn(`Ignoring unknown option: ${argv[i]}`);
+            continue;
+        }
+        const value = argv[++i];
+        options[key] = typeof DEFAULT_OPTIONS[key] === 'number' ? Number(value) : value;
+    }
+    return options;
+}
+
+/**
+ * Reads game assets from public/ on disk. Passed to the Game as its asset reader.
+ * @param {string} assetPath - Asset path as used by the game (e.g. 'assets/level1.json').
+ * @returns {Promise<string>} File contents.
+ */
+function readAssetFromDisk(assetPath) {
+    return fs.readFile(path.join(PUBLIC_ROOT, assetPath), 'utf8');
+}
+
+/**
+ * Samples points along the path at roughly even spacing.
+ * @param {Array<{x: number, y: number}>} waypoints - The extended path.
+ * @returns {Array<{x: number, y: number}>} Sample points.
+ */
+function samplePath(waypoints) {
+    const samples = [];
+    for (let i = 0; i < waypoints.length - 1; i++) {
+        const a = waypoints[i];
+        const b = waypoints[i + 1];
+        const steps = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.y - a.y) / PATH_SAMPLE_SPACING));
+        for (let s = 0; s < steps; s++) {
+            const t = s / steps;
+            samples.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+        }
+    }
+    return samples;
+}
+
+/**
+ * Builds the bot's candidate spots: valid placements on a grid, best path coverage (over all spawn paths) first.
+ * @param {Game} game - The initialized headless game.
+ * @param {number} range - Attack range of the defence the bot buys.
+ * @returns {Array<{x: number, y: number, score: number}>} Candidates sorted by score (descending).
+ */
+function buildCandidates(game, range) {
+    const { width, height } = game.levelConfig.canvas;
+    const pathSamples = game.getPaths().flatMap(lane => samplePath(lane.extendedPathData)); // Every spawn path counts
+    const candidates = [];
+    for (let y = CANDIDATE_GRID_SPACING / 2; y < height; y += CANDIDATE_GRID_SPACING) {
+        for (let x = CANDIDATE_GRID_SPACING / 2; x < width; x += CANDIDATE_GRID_SPACING) {
+            if (!game.isPositionValidForPlacement({ x, y })) continue;
+            const score = pathSamples.filter(p => Math.hypot(p.x - x, p.y - y) <= range).length;
+            if (score > 0) candidates.push({ x, y, score });
+        }
+    }
+    return candidates.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Buys as many defences as the base can afford, placing each on the best free candidate.
+ * @param {Game} game - The headless game.
+ * @param {string} defenceId - Defence type to buy.
+ * @param {Array<{x: number, y: number}>} candidates - Sorted candidate spots.
+ */
+async function placeAffordableDefences(game, defenceId, candidates) {
+    while (true) {
+        const cost = game.priceManager.getStoredCosts()[defenceId];
+        if (!Number.isFinite(cost) || !game.base.canAfford(cost)) return;
+
+        const active = game.defenceManager.getActiveDefences();
+        const spot = candidates.find(c => active.every(d => Math.hypot(d.x - c.x, d.y - c.y) >= MIN_DEFENCE_SPACING));
+        if (!spot) return;
+
+        const placed = await game.defenceManager.placeDefence(defenceId, { x: spot.x, y: spot.y });
+        if (!placed) return;
+    }
+}
+
+/**
+ * Snapshot of the economy, taken at the start of each wave.
+ * @param {Game} game - The headless game.
+ * @returns {object} Stats row.
+ */
+function collectWaveStats(game) {
+    const wave = game.waveManager.currentWaveNumber;
+    return {
+        wave,
+        timeSeconds: game.getGameTime() / 1000,
+        funds: game.base.currentFunds,
+        baseHp: game.base.currentHp,
+        defences: game.defenceManager.getActiveDefences().length,
+        earningRate: game.defenceManager.getCurrentTotalEarningRate(),
+        waveBounty: game.waveManager.getWaveTotalBounty(wave),
+        waveDurationSeconds: game.waveManager.getWaveDurationSeconds(wave),
+        targetDamageR: game.strikeManager.getCumulativeTargetDamageR(),
+        bombDamageR: game.strikeManager.cumulativeBombDamageDealtByStrikesR,
+        enemyDamageR: game.strikeManager.cumulativeNonStrikeDestructionR
+    };
+}
+
+// --- Main Execution Logic ---
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const game = new Game({ headless: true, assetReader: readAssetFromDisk, seed: options.seed, level: options.level });
+    if (!await game.ready()) {
+        console.error("Simulation: Game failed to initialize.");
+        process.exitCode = 1;
+        return;
+    }
+
+    const definition = game.defenceManager.getDefinition(options.defence);
+    if (!definition) {
+        console.error(`Simulation: Unknown defence '${options.defence}'.`);
+        process.exitCode = 1;
+        return;
+    }
+
+    // Same setup as the difficulty buttons in the controller
+    if (!game.applyDifficulty(options.difficulty)) {
+        process.exitCode = 1;
+        return;
+    }
+    const scalar = game.difficultyScalar;
+    await new Promise(resolve => setImmediate(resolve)); // Let cost/wear recalculation settle
+
+    const candidates = buildCandidates(game, definition.stats.attackRange);
+    const results = [];
+    let isGameOver = false;
+    game.base.addEventListener('gameOver', () => {
+        isGameOver = true;
+        game.startGameOverSequence();
+    });
+    game.waveManager.addEventListener('statusUpdated', () => {
+        const wave = game.waveManager.currentWaveNumber;
+        if (wave > 0 && wave > (results[results.length - 1]?.wave || 0)) {
+            results.push(collectWaveStats(game));
+        }
+    });
+
+    console.log(`--- Simulating ${options.waves} waves on '${options.difficulty}' (a = ${scalar}, α = ${game.getAlpha().toFixed(5)}) with ${options.defence}, seed ${game.getSeed()} ---`);
+    game.startGame();
+
+    while (!isGameOver && !game.waveManager.isFinished) {
+        const waveManager = game.waveManager;
+        if (waveManager.currentWaveNumber >= options.waves && !waveManager.waitingForClear && waveManager.timeUntilNextWave > 0 &&
+            waveManager.getUnclearedWaveNumbers().length === 0) {
+            break; // Last requested wave has been cleared
+        }
+        await placeAffordableDefences(game, options.defence, candidates);
+        game.step(options.dt);
+        await new Promise(resolve => setImmediate(resolve)); // Let strike promises resolve between steps
+    }
+
+    console.table(results.map(row => ({
+        wave: row.wave,
+        't (s)': row.timeSeconds.toFixed(1),
+        funds: Math.round(row.funds),
+        'base hp': Math.round(row.baseHp),
+        defences: row.defences,
+        R: row.earningRate.toFixed(3),
+        'bounty B': Math.round(row.waveBounty),
+        'T (s)': row.waveDurationSeconds.toFixed(1),
+        'target R': row.targetDamageR.toFixed(3),
+        'bomb R': row.bombDamageR.toFixed(3),
+        'enemy R': row.enemyDamageR.toFixed(3)
+    })));
+    console.log(isGameOver
+        ? `Base destroyed during wave ${game.waveManager.currentWaveNumber}.`
+        : game.waveManager.isVictory
+        ? `Victory: cleared all ${game.waveManager.currentWaveNumber} waves with ${Math.round(game.base.currentHp)} base HP.`
+        : `Survived ${game.waveManager.currentWaveNumber} waves with ${Math.round(game.base.currentHp)} base HP.`);
+
+    if (options.out) {
+        const outputPath = path.resolve(__dirname, options.out);
+        await fs.writeFile(outputPath, JSON.stringify({ options, survived: !isGameOver, results }, null, 2));
+        console.log(`Results saved to ${outputPath}`);
+    }
+}
+
+main();
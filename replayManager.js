@@ -0,0 +1,301 @@
+import { getLoadedAssetHashes } from './utils/dataLoaders.js';
+
+/**
+ * Records player actions and plays them back.
+ *
+ * Every action is stamped with game time (see Game.getGameTime()). Because the simulation runs
+ * in fixed steps and draws all randomness from the seeded RNG, the seed plus the actions rebuild
+ * the exact run, as long as the configs are unchanged (their hashes are stored in the replay).
+ * Live tuning updates (TuningManager) made during a recording are recorded and re-applied too.
+ *
+ * Replays always start from a new game: loading a save discards the current recording.
+ */
+const REPLAY_FORMAT_VERSION = 1;
+const REPLAY_SPEEDS = [1, 2, 4, 8]; // Fast-forward steps
+
+export default class ReplayManager extends EventTarget {
+    constructor(game) {
+        super(); // Call EventTarget constructor
+        if (!game) {
+            throw new Error("ReplayManager requires a valid Game instance.");
+        }
+        this.game = game;
+
+        // Action type -> async handler(action) used during playback. Sell/upgrade register here.
+        this.actionHandlers = {};
+        this.registerActionHandler('difficulty', async (action) => {
+            if (!this.game.applyDifficulty(action.difficulty)) return;
+            // The live game recalculates these in the background before the first frame; wait for them here
+            if (this.game.priceManager) {
+                await this.game.priceManager.recalculateAndStoreCosts();
+            }
+            if (this.game.defenceManager) {
+                await this.game.defenceManager.calculateWearParameters();
+            }
+        });
+        this.registerActionHandler('placeDefence', async (action) => {
+            const placed = await this.game.defenceManager?.placeDefence(action.defenceId, { x: action.x, y: action.y });
+            if (!placed) {
+                console.warn(`ReplayManager: Replayed placement of ${action.defenceId} at (${action.x}, ${action.y}) failed. The replay has diverged.`);
+            }
+        });
+        this.registerActionHandler('endlessMode', async (action) => {
+            this.game.setEndlessMode(action.enabled);
+        });
+        this.registerActionHandler('callWaveEarly', async () => {
+            if (!this.game.waveManager?.callNextWaveEarly()) {
+                console.warn("ReplayManager: Replayed early wave call failed. The replay has diverged.");
+            }
+        });
+        // ADDED: Config files changed by live tuning while recording
+        this.registerActionHandler('tuningUpdate', async (action) => {
+            if (!this.game.tuningManager?.applyUpdate(action.dataPath, action.rawContent)) {
+                console.warn(`ReplayManager: Replayed tuning update of ${action.dataPath} failed. The replay has diverged.`);
+            }
+        });
+        game.tuningManager?.addEventListener('parametersUpdated', (event) => {
+            const { dataPath, rawContent } = event.detail;
+            this.recordAction('tuningUpdate', { dataPath, rawContent });
+        });
+
+        this.recording = null;  // Replay data being recorded for the current game
+        this.isRecording = false;
+
+        this.replay = null;     // Replay data being played back
+        this.isReplaying = false;
+        this.isPaused = false;
+        this.speed = 1;
+        this.nextActionIndex = 0;
+        this.isAdvancing = false; // Guards against overlapping advance() calls while actions resolve
+    }
+
+    /**
+     * Registers how an action type is played back.
+     * @param {string} type - Action type, as passed to recordAction().
+     * @param {function(object): Promise<void>} handler - Applies a recorded action to the game.
+     */
+    registerActionHandler(type, handler) {
+        this.actionHandlers[type] = handler;
+    }
+
+    // --- Recording ---
+
+    /**
+     * Starts a new recording for a game that is about to start. Called by Game.startGame().
+     */
+    startRecording() {
+        this.recording = {
+            version: REPLAY_FORMAT_VERSION,
+            recordedAt: new Date().toISOString(),
+            levelId: this.game.levelId,
+            seed: this.game.getSeed(),
+            configHashes: null, // Filled in below, once hashed
+            duration: null,
+            actions: []
+        };
+        this.isRecording = true;
+        // MODIFIED: Hashed lazily; stays null where hashing is unavailable (no crypto.subtle outside secure contexts)
+        const recording = this.recording;
+        getLoadedAssetHashes()
+            .then(hashes => { recording.configHashes = hashes; })
+            .catch(error => console.warn("ReplayManager: Could not hash the configs for this recording.", error));
+        this.recordAction('difficulty', { difficulty: this.game.selectedDifficulty });
+        this.recordAction('endlessMode', { enabled: this.game.isEndlessMode });
+    }
+
+    /**
+     * Records a player action at the current game time. Ignored while not recording (e.g. during playback).
+     * @param {string} type - Action type (must have a handler, see registerActionHandler).
+     * @param {object} [payload] - Action data needed to repeat it.
+     */
+    recordAction(type, payload = {}) {
+        if (!this.isRecording || this.isReplaying) return;
+        this.recording.actions.push({ time: this.game.getGameTime(), type, ...payload });
+    }
+
+    /**
+     * Ends the recording (e.g. at game over), keeping it available for export.
+     */
+    finishRecording() {
+        if (!this.isRecording) return;
+        this.recording.duration = this.game.getGameTime();
+        this.isRecording = false;
+    }
+
+    /**
+     * Drops the current recording (e.g. after loading a save, which a replay cannot reproduce).
+     */
+    discardRecording() {
+        this.recording = null;
+        this.isRecording = false;
+    }
+
+    /**
+     * @returns {object|null} The current (or last finished) recording, with its duration up to now.
+     */
+    getRecording() {
+        if (!this.recording) return null;
+        return {
+            ...this.recording,
+            duration: this.isRecording ? this.game.getGameTime() : this.recording.duration,
+            actions: this.recording.actions.map(action => ({ ...action }))
+        };
+    }
+
+    /**
+     * Downloads the current recording as a JSON file.
+     * @returns {boolean} True if a file was offered for download.
+     */
+    exportRecording() {
+        const recording = this.getRecording();
+        if (!recording || this.game.headless) {
+            console.warn("ReplayManager: Nothing to export.");
+            return false;
+        }
+        const blob = new Blob([JSON.stringify(recording, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `spuders-replay-seed${recording.seed}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+        return true;
+    }
+
+    // --- Playback ---
+
+    /**
+     * Starts a new game and plays a recording back into it.
+     * @param {object} replay - Replay data from getRecording() / a replay file.
+     * @returns {Promise<boolean>} True if playback started.
+     */
+    async startReplay(replay) {
+        if (!replay || replay.version !== REPLAY_FORMAT_VERSION || !Array.isArray(replay.actions)) {
+            console.error(`ReplayManager: Unsupported replay data (version ${replay?.version}, expected ${REPLAY_FORMAT_VERSION}).`);
+            return false;
+        }
+        if (replay.levelId !== this.game.levelId && !(await this.game.switchLevel(replay.levelId))) {
+            console.error(`ReplayManager: Could not load level ${replay.levelId} for this replay.`);
+            return false;
+        }
+        const mismatchedConfigs = await this.getMismatchedConfigs(replay);
+        if (mismatchedConfigs.length > 0) {
+            console.warn(`ReplayManager: Configs differ from the recording, the replay may diverge: ${mismatchedConfigs.join(', ')}`);
+        }
+
+        this.game.pauseGame();
+        this.game.reset(); // Stops any replay in progress
+        this.discardRecording();
+        this.game.rng.setSeed(replay.seed);
+
+        this.replay = replay;
+        this.isReplaying = true;
+        this.isPaused = false;
+        this.speed = 1;
+        this.nextActionIndex = 0;
+
+        // Pre-game actions (difficulty) run before the game starts, as they do live
+        await this._applyDueActions();
+        this.game.startGame();
+        this.dispatchEvent(new CustomEvent('replayStateChanged'));
+        return true;
+    }
+
+    /**
+     * Lists the configs whose content differs from when the replay was recorded.
+     * @param {object} replay - Replay data.
+     * @returns {Promise<string[]>} Asset paths with mismatched hashes (none if either side has no hashes).
+     */
+    async getMismatchedConfigs(replay) {
+        if (!replay.configHashes) return [];
+        const currentHashes = await getLoadedAssetHashes().catch(() => null);
+        if (!currentHashes) return [];
+        return Object.entries(replay.configHashes || {})
+            .filter(([assetPath, hash]) => currentHashes[assetPath] !== hash)
+            .map(([assetPath]) => assetPath);
+    }
+
+    /**
+     * Ends playback, leaving the game paused where it is.
+     */
+    stopReplay() {
+        if (!this.isReplaying) return;
+        this.isReplaying = false;
+        this.isPaused = false;
+        this.replay = null;
+        this.game.pauseGame();
+        this.dispatchEvent(new CustomEvent('replayStateChanged'));
+    }
+
+    togglePause() {
+        if (!this.isReplaying) return;
+        this.isPaused = !this.isPaused;
+        this.dispatchEvent(new CustomEvent('replayStateChanged'));
+    }
+
+    /**
+     * Cycles through the fast-forward speeds (1x, 2x, 4x, 8x).
+     */
+    cycleSpeed() {
+        if (!this.isReplaying) return;
+        const index = REPLAY_SPEEDS.indexOf(this.speed);
+        this.speed = REPLAY_SPEEDS[(index + 1) % REPLAY_SPEEDS.length];
+        this.dispatchEvent(new CustomEvent('replayStateChanged'));
+    }
+
+    /**
+     * @returns {{time: number, duration: number|null}|null} Playback position in game time (ms), or null if not replaying.
+     */
+    getProgress() {
+        if (!this.isReplaying) return null;
+        return { time: this.game.getGameTime(), duration: this.replay.duration };
+    }
+
+    /**
+     * Advances playback by real time. Replaces Game.advanceSimulation() while replaying: runs the
+     * same fixed steps, applying each recorded action before the step that followed it live.
+     * @param {number} deltaTime - Clamped real time since the last frame (ms), scaled by the replay speed.
+     */
+    async advance(deltaTime) {
+        if (!this.isReplaying || this.isPaused) return;
+        const game = this.game;
+        game.simulationAccumulatorMs += deltaTime * this.speed;
+        if (this.isAdvancing) return; // The running call will consume the accumulated time
+        this.isAdvancing = true;
+
+        while (this.isReplaying && game.simulationAccumulatorMs >= game.fixedStepMs) {
+            if (this._hasDueAction()) {
+                await this._applyDueActions();
+            }
+            game.update(game.headless ? game.headlessTimestamp : performance.now(), game.fixedStepMs);
+            game.simulationAccumulatorMs -= game.fixedStepMs;
+
+            if (this.replay.duration !== null && game.getGameTime() >= this.replay.duration) {
+                this.isAdvancing = false;
+                this.stopReplay();
+                this.dispatchEvent(new CustomEvent('replayFinished'));
+                return;
+            }
+        }
+        this.isAdvancing = false;
+    }
+
+    _hasDueAction() {
+        const action = this.replay.actions[this.nextActionIndex];
+        return !!action && action.time <= this.game.getGameTime();
+    }
+
+    async _applyDueActions() {
+        while (this.isReplaying && this._hasDueAction()) {
+            const action = this.replay.actions[this.nextActionIndex++];
+            const handler = this.actionHandlers[action.type];
+            if (!handler) {
+                console.warn(`ReplayManager: No handler for recorded action '${action.type}'. Skipping.`);
+                continue;
+            }
+            await handler(action);
+        }
+    }
+}
@@ -0,0 +1,152 @@
+/**
+ * Save slots in localStorage, plus export/import of saves as JSON files.
+ * The save data itself comes from Game.serializeState() and is applied with Game.restoreState().
+ */
+const STORAGE_KEY_PREFIX = 'spuders.save.';
+const DEFAULT_SLOT_COUNT = 3;
+
+export default class SaveManager extends EventTarget {
+    constructor(game) {
+        super(); // Call EventTarget constructor
+        if (!game) {
+            throw new Error("SaveManager requires a valid Game instance.");
+        }
+        this.game = game;
+        this.slotCount = game.gameConfig?.saveSlots ?? DEFAULT_SLOT_COUNT;
+    }
+
+    /**
+     * @returns {number[]} The slot IDs (1-based).
+     */
+    getSlotIds() {
+        return Array.from({ length: this.slotCount }, (_, i) => i + 1);
+    }
+
+    _getStorageKey(slotId) {
+        return `${STORAGE_KEY_PREFIX}${slotId}`;
+    }
+
+    /**
+     * Reads and parses the save in a slot.
+     * @param {number} slotId - The slot to read.
+     * @returns {object|null} The save data, or null if the slot is empty or unreadable.
+     */
+    readSlot(slotId) {
+        try {
+            const text = window.localStorage.getItem(this._getStorageKey(slotId));
+            return text ? JSON.parse(text) : null;
+        } catch (error) {
+            console.error(`SaveManager: Could not read save slot ${slotId}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Summarizes a slot for the save menu.
+     * @param {number} slotId - The slot to describe.
+     * @returns {{slotId: number, isEmpty: boolean, savedAt: string|null, waveNumber: number|null}} Slot summary.
+     */
+    getSlotInfo(slotId) {
+        const data = this.readSlot(slotId);
+        return {
+            slotId,
+            isEmpty: !data,
+            savedAt: data?.savedAt ?? null,
+            waveNumber: data?.waves?.currentWaveNumber ?? null
+        };
+    }
+
+    /**
+     * Saves the current game into a slot, overwriting it.
+     * @param {number} slotId - The slot to write.
+     * @returns {boolean} True on success.
+     */
+    saveToSlot(slotId) {
+        if (!this.game.canSave()) {
+            console.warn("SaveManager: No game in progress to save.");
+            return false;
+        }
+        try {
+            window.localStorage.setItem(this._getStorageKey(slotId), JSON.stringify(this.game.serializeState()));
+        } catch (error) {
+            console.error(`SaveManager: Could not write save slot ${slotId}:`, error);
+            return false;
+        }
+        this.dispatchEvent(new CustomEvent('slotsUpdated'));
+        return true;
+    }
+
+    /**
+     * Replaces the current game with the save in a slot. The game is left paused.
+     * @param {number} slotId - The slot to load.
+     * @returns {Promise<boolean>} True if the save was restored.
+     */
+    async loadFromSlot(slotId) {
+        const data = this.readSlot(slotId);
+        if (!data) {
+            console.warn(`SaveManager: Save slot ${slotId} is empty.`);
+            return false;
+        }
+        return await this.game.restoreState(data);
+    }
+
+    /**
+     * Empties a slot.
+     * @param {number} slotId - The slot to clear.
+     */
+    deleteSlot(slotId) {
+        try {
+            window.localStorage.removeItem(this._getStorageKey(slotId));
+        } catch (error) {
+            console.error(`SaveManager: Could not delete save slot ${slotId}:`, error);
+            return;
+        }
+        this.dispatchEvent(new CustomEvent('slotsUpdated'));
+    }
+
+    /**
+     * Downloads a save as a JSON file: the given slot, or the current game if no slot is given.
+     * @param {number} [slotId] - The slot to export.
+     * @returns {boolean} True if a file was offered for download.
+     */
+    exportToFile(slotId = null) {
+        let data = null;
+        if (slotId !== null) {
+            data = this.readSlot(slotId);
+        } else if (this.game.canSave()) {
+            data = this.game.serializeState();
+        }
+        if (!data) {
+            console.warn("SaveManager: Nothing to export.");
+            return false;
+        }
+
+        const wave = data.waves?.currentWaveNumber ?? 0;
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `spuders-save-wave${wave}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+        return true;
+    }
+
+    /**
+     * Replaces the current game with a save read from a JSON file. The game is left paused.
+     * @param {File} file - A file previously written by exportToFile().
+     * @returns {Promise<boolean>} True if the save was restored.
+     */
+    async importFromFile(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            console.error(`SaveManager: Could not read save file '${file?.name}':`, error);
+            return false;
+        }
+        return await this.game.restoreState(data);
+    }
+}
@@ -1,6 +1,23 @@
 import { distanceBetween } from './utils/geometryUtils.js';
 import Striker from './models/striker.js';
 import * as PIXI from 'pixi.js';
+import { loadJson } from './utils/dataLoaders.js';
+import { GAME_EVENTS } from './gameEventBus.js';
+
+// --- ADDED: Runtime fields captured by save games (see serializeState) ---
+// In-flight strikers and the Rn(B) cache are not saved: a resumed game has no
+// strikers in the air and recomputes the cache for the current wave.
+const SAVED_RUNTIME_FIELDS = [
+    'currentWaveNumber', 'currentWaveStartTime', 'currentWaveStartTotalR', 'currentDn',
+    'totalTargetDestructionR', 'K_current_wave', 'Rn_at_wave_start', 'Rn_at_last_bounty_checkpoint',
+    'bountyCollectedSinceLastCheckpoint', 'cumulativeBountyThisWave', 'bountyUpdateThreshold_B_star',
+    'totalBountyForCurrentWave_Bn', 'projectedDurationCurrentWave_Tn', 'currentWaveFinalized',
+    'totalBombDamageDealtR', 'cumulativeBombDamageDealtByStrikesR', 'cumulativeNonStrikeDestructionR', 'averageBombDamageR', '_spareNormal',
+    'strikeCooldownActive', 'strikeCooldownEndTime',
+    'duressCooldownActive', 'duressCooldownEndTime',
+    'safetyCheckFailedCooldownActive', 'safetyCheckFailedCooldownEndTime'
+];
+// --- END ADDED ---
 
 export default class StrikeManager {
     constructor(game) {
@@ -98,10 +115,15 @@ export default class StrikeManager {
         this.bountyUpdateThreshold_B_star = Infinity;
         this.totalBountyForCurrentWave_Bn = 0;
         this.projectedDurationCurrentWave_Tn = 0;
+        // ADDED: Overlapping waves. Bounty bookkeeping (K, R checkpoint, bounty since checkpoint) of
+        // earlier waves still on screen, by wave number, so their kills keep using their own K_n.
+        this.openWaveLedgers = {};
+        this.currentWaveFinalized = true; // False from startWave() until finalizeWaveDamage() for that wave
 
         // Bomb damage tracking
         this.totalBombDamageDealtR = 0;
         this.cumulativeBombDamageDealtByStrikesR = 0;
+        this.cumulativeNonStrikeDestructionR = 0; // ADDED: R destroyed by enemies (see recordNonStrikeDestructionR)
 
         // Strikers
         this.strikers = [];
@@ -200,9 +222,9 @@ export default class StrikeManager {
 
         let u1, u2;
         do {
-            u1 = Math.random();
+            u1 = this.game.rng.next();
         } while (u1 === 0); // Avoid Math.log(0)
-        u2 = Math.random();
+        u2 = this.game.rng.next();
 
         const radius = Math.sqrt(-2.0 * Math.log(u1));
         const angle = 2.0 * Math.PI * u2;
@@ -247,11 +269,7 @@ export default class StrikeManager {
 
     async loadConfig(mapWidth, mapHeight, path = 'assets/strike.json') {
         try {
-            const response = await fetch(path);
-            if (!response.ok) {
-                throw new Error(`HTTP error loading strike config! status: ${response.status}`);
-            }
-            const config = await response.json();
+            const config = await loadJson(path);
 
             // Load static config values
             this.targetMaxWipeoutRadiusPercent = config.targetMaxWipeoutRadiusPercent;
@@ -283,9 +301,11 @@ export default class StrikeManager {
 
             // Perform post-config initialization
             this._precomputeStampMap();
-            await this._loadExplosionFrames();
-            await this._loadShadowTexture(config.strikerShadow);
-            this._initializeHeatmapPixiObjects();
+            if (!this.game.headless) { // Visual assets only; headless strikes just deal damage
+                await this._loadExplosionFrames();
+                await this._loadShadowTexture(config.strikerShadow);
+                this._initializeHeatmapPixiObjects();
+            }
 
             // Seed initial values
             this.averageBombDamageR = this.seedAverageBombDeltaR;
@@ -590,7 +610,7 @@ export default class StrikeManager {
         }
 
         // 3. Randomly select one of the optimal cells
-        const randomIndex = Math.floor(Math.random() * optimalCells.length);
+        const randomIndex = this.game.rng.nextInt(optimalCells.length);
         const selectedCell = optimalCells[randomIndex];
 
         // 4. Convert the selected cell's grid coordinates to world coordinates (center of the cell)
@@ -735,6 +755,18 @@ export default class StrikeManager {
 
         //console.log(`StrikeManager: Received start signal for Wave ${waveNumber} at ${timestamp.toFixed(0)}ms`);
 
+        // --- ADDED: Overlapping waves: park the previous wave's bookkeeping until it clears ---
+        if (this.currentWaveNumber > 0 && !this.currentWaveFinalized) {
+            this.openWaveLedgers[this.currentWaveNumber] = {
+                K_current_wave: this.K_current_wave,
+                Rn_at_last_bounty_checkpoint: this.Rn_at_last_bounty_checkpoint,
+                bountyCollectedSinceLastCheckpoint: this.bountyCollectedSinceLastCheckpoint,
+                cumulativeBountyThisWave: this.cumulativeBountyThisWave
+            };
+        }
+        this.currentWaveFinalized = false;
+        // --- END ADDED ---
+
         this.currentWaveNumber = waveNumber;
         this.currentWaveStartTime = timestamp;
 
@@ -833,6 +865,32 @@ export default class StrikeManager {
     }
     // --- END ADDED ---
 
+    // --- ADDED: Early-call bonus ---
+    /**
+     * Folds a bonus paid for calling a wave early into that wave's bookkeeping. Called by WaveManager
+     * right after startWave(). The bonus is added to Bn and K_n is recalculated, so the wave still
+     * targets dn * Tn of destruction once all of its income (kills plus bonus) has been collected.
+     * Tn itself is unchanged: it projects spawn-to-clear time, which the skipped countdown isn't part of.
+     * @param {number} waveNumber - The wave that was called early.
+     * @param {number} bonus - The bonus paid to the player.
+     */
+    recordEarlyCallBonus(waveNumber, bonus) {
+        if (typeof bonus !== 'number' || bonus <= 0) return;
+        if (waveNumber !== this.currentWaveNumber) {
+            console.warn(`StrikeManager.recordEarlyCallBonus: Bonus for wave ${waveNumber}, but StrikeManager is on wave ${this.currentWaveNumber}. Ignoring.`);
+            return;
+        }
+
+        this.totalBountyForCurrentWave_Bn += bonus;
+        this.K_current_wave = (this.currentDn * this.projectedDurationCurrentWave_Tn) / this.totalBountyForCurrentWave_Bn;
+        if (!isFinite(this.K_current_wave)) {
+            this.K_current_wave = null;
+        }
+        this._cachedRnB_waveNumber = -1; // b_n = Bn / Tn changed; rebuild the Rn(B) floor constants
+        this.recordBountyEarned(bonus);
+    }
+    // --- END ADDED ---
+
     // --- MODIFIED: Getter for the calculated target damage (Plan II.7) ---
     /**
      * Returns the total cumulative target destruction (Delta R).
@@ -858,6 +916,15 @@ export default class StrikeManager {
     finalizeWaveDamage(waveNumber, startTime, clearTime) {
         // console.log(`StrikeManager.finalizeWaveDamage: Received finalize signal for Wave ${waveNumber}.`);
 
+        // --- ADDED: An earlier, overlapping wave clears with its own parked bookkeeping ---
+        const openLedger = this.openWaveLedgers[waveNumber];
+        if (openLedger) {
+            this._updateTargetDestructionForBatch(openLedger.bountyCollectedSinceLastCheckpoint, openLedger);
+            delete this.openWaveLedgers[waveNumber];
+            return;
+        }
+        // --- END ADDED ---
+
         // Safety check: Ensure this finalization corresponds to the wave StrikeManager thinks is active.
         if (waveNumber !== this.currentWaveNumber) {
             console.warn(`StrikeManager.finalizeWaveDamage: Mismatch! WaveManager cleared wave ${waveNumber}, but StrikeManager is on wave ${this.currentWaveNumber}. Final bounty processing might be skipped or incorrect.`);
@@ -878,6 +945,9 @@ export default class StrikeManager {
 
         // Ensure bounty collected is reset for the next wave (startWave also does this, but good for safety).
         this.bountyCollectedSinceLastCheckpoint = 0;
+        if (waveNumber === this.currentWaveNumber) {
+            this.currentWaveFinalized = true; // ADDED: Nothing to park when the next wave starts
+        }
 
         // --- REMOVED Old Time-Based Delta R Calculation --- 
         // The old logic based on effectiveDurationSec, Rn0_forCompletedWave, and dn_forCompletedWave is now gone.
@@ -903,7 +973,7 @@ export default class StrikeManager {
             console.error("StrikeManager.dispatchStriker: Bomb payload not ready. Cannot dispatch striker.");
             return Promise.reject("Bomb payload not ready");
         }
-        if (!this.strikerShadowData) {
+        if (!this.strikerShadowData && !this.game.headless) {
             console.warn("StrikeManager.dispatchStriker: Striker shadow data not ready. Proceeding without shadow for this strike, but this is unexpected.");
             // Potentially create a dummy/null strikerShadowData if we want to allow strikes without shadows gracefully
             // For now, it will likely cause an error in Striker constructor if it expects an object.
@@ -960,6 +1030,7 @@ export default class StrikeManager {
 
         // Add the successfully initialized striker to the array to be managed
         this.strikers.push(striker);
+        this.game.events?.emit(GAME_EVENTS.STRIKE_LAUNCHED, { target: targetCoords });
 
         try {
             // striker.completionPromise is a property/getter on the Striker instance,
@@ -970,6 +1041,7 @@ export default class StrikeManager {
                 return 0;
             }
             const damageDealtR = await striker.completionPromise;
+            this.game.events?.emit(GAME_EVENTS.STRIKE_LANDED, { target: targetCoords, damageDealtR });
             return damageDealtR;
         } catch (error) {
             console.error("StrikeManager.dispatchStriker: Error during strike execution:", error);
@@ -1050,8 +1122,7 @@ export default class StrikeManager {
         if (this.bombPayload) return; // Already assembled
 
         if (this.bombStrengthA !== null && // bombStrengthA can be 0, so just check for null
-            this.pixiExplosionAnimationData && 
-            this.strikerShadowData && 
+            (this.game.headless || (this.pixiExplosionAnimationData && this.strikerShadowData)) && // No visuals needed headless
             typeof this.impactStdDevPixels === 'number') {
             
             this.bombPayload = {
@@ -1390,12 +1461,27 @@ export default class StrikeManager {
     }
 
     // --- ADDED: Getter for Outstanding Target Damage R ---
+    // MODIFIED: R that enemies destroyed counts towards the target too
     getOutstandingTargetDamageR() {
-        const outstandingDamage = this.getCumulativeTargetDamageR() - this.cumulativeBombDamageDealtByStrikesR;
+        const outstandingDamage = this.getCumulativeTargetDamageR() - this.cumulativeBombDamageDealtByStrikesR - this.cumulativeNonStrikeDestructionR;
         return outstandingDamage;
     }
     // --- END ADDED ---
 
+    // --- ADDED: Defender damage from enemies ---
+    /**
+     * Credits earning rate destroyed by something other than a strike (enemies with targetsDefenders)
+     * against the target destruction, so strikes only make up the rest. Wear needs no such call: it is
+     * already subtracted from dn (the W term in _calculateDn).
+     * @param {number} amountR - Earning rate destroyed (defender HP lost).
+     */
+    recordNonStrikeDestructionR(amountR) {
+        if (typeof amountR === 'number' && isFinite(amountR) && amountR > 0) {
+            this.cumulativeNonStrikeDestructionR += amountR;
+        }
+    }
+    // --- END ADDED ---
+
     // --- NEW METHOD: To be called by Game when it's ready for initial B* calculation ---
     initializeBountyThreshold() {
         // console.log("StrikeManager: initializeBountyThreshold called by Game.");
@@ -1470,6 +1556,42 @@ export default class StrikeManager {
         }
     }
 
+    // --- ADDED: Save/resume support ---
+    /**
+     * Captures the R bookkeeping (Rn at wave start, target destruction R, bounty checkpoints,
+     * open overlapping waves) and cooldowns for a save game.
+     * @returns {object} Serializable state.
+     */
+    serializeState() {
+        const state = {};
+        for (const field of SAVED_RUNTIME_FIELDS) {
+            // JSON has no Infinity (B* is Infinity until the first threshold is set)
+            state[field] = this[field] === Infinity ? 'Infinity' : this[field];
+        }
+        state.openWaveLedgers = Object.fromEntries(
+            Object.entries(this.openWaveLedgers).map(([waveNumber, ledger]) => [waveNumber, { ...ledger }])
+        );
+        return state;
+    }
+
+    /**
+     * Restores state captured by serializeState(). Expects resetForNewGame() to have run first.
+     * @param {object} state - State from serializeState().
+     */
+    restoreState(state) {
+        if (!state) return;
+        for (const field of SAVED_RUNTIME_FIELDS) {
+            if (field in state) {
+                this[field] = state[field] === 'Infinity' ? Infinity : state[field];
+            }
+        }
+        this.openWaveLedgers = Object.fromEntries(
+            Object.entries(state.openWaveLedgers || {}).map(([waveNumber, ledger]) => [waveNumber, { ...ledger }])
+        );
+        this._cachedRnB_waveNumber = -1; // Force the Rn(B) cache to rebuild for the restored wave
+    }
+    // --- END ADDED ---
+
     updateGlobalAirstrikeStatus(isEnabled) {
         const newStatus = !!isEnabled;
         if (this.airstrikesGloballyEnabled !== newStatus) {
@@ -1511,34 +1633,37 @@ export default class StrikeManager {
      * if thresholds are met.
      * This method should be called by the Game or BountyManager whenever bounty is awarded to the player.
      * @param {number} bountyAmount - The amount of bounty earned from a single event (e.g., enemy kill).
+     * @param {number|null} [waveNumber=null] - The wave the bounty belongs to (null: the current wave).
      */
-    recordBountyEarned(bountyAmount) {
+    recordBountyEarned(bountyAmount, waveNumber = null) {
         if (typeof bountyAmount !== 'number' || bountyAmount <= 0) {
             return;
         }
+        // ADDED: Bounty from an earlier wave still on screen goes to that wave's ledger (see startWave)
+        const ledger = this.openWaveLedgers[waveNumber] ?? this;
         // Ensure there's an active wave and K_current_wave is valid (e.g. total bounty for wave Bn > 0)
-        if (this.currentWaveNumber === 0 || this.K_current_wave === null || this.K_current_wave === undefined) {
+        if (this.currentWaveNumber === 0 || ledger.K_current_wave === null || ledger.K_current_wave === undefined) {
             // console.log("StrikeManager.recordBountyEarned: No active wave or K_current_wave is invalid, bounty not processed for target destruction.");
             return;
         }
 
         // ADDED: Accumulate total bounty for the current wave
-        this.cumulativeBountyThisWave += bountyAmount;
+        ledger.cumulativeBountyThisWave += bountyAmount;
 
         // Ensure bountyUpdateThreshold_B_star is a positive finite number for chunking.
         // If it's Infinity (e.g. averageBombDamageR is 0), all processing happens in finalizeWaveDamage.
         const isValidBStar = typeof this.bountyUpdateThreshold_B_star === 'number' && isFinite(this.bountyUpdateThreshold_B_star) && this.bountyUpdateThreshold_B_star > 0;
 
-        this.bountyCollectedSinceLastCheckpoint += bountyAmount;
-        // console.log(`StrikeManager.recordBountyEarned: Bounty ${bountyAmount.toFixed(2)} recorded. Total for wave: ${this.cumulativeBountyThisWave.toFixed(2)}. Total since checkpoint: ${this.bountyCollectedSinceLastCheckpoint.toFixed(2)} / ${isValidBStar ? this.bountyUpdateThreshold_B_star.toFixed(2) : 'Infinity'}`);
+        ledger.bountyCollectedSinceLastCheckpoint += bountyAmount;
+        // console.log(`StrikeManager.recordBountyEarned: Bounty ${bountyAmount.toFixed(2)} recorded. Total for wave: ${ledger.cumulativeBountyThisWave.toFixed(2)}. Total since checkpoint: ${ledger.bountyCollectedSinceLastCheckpoint.toFixed(2)} / ${isValidBStar ? this.bountyUpdateThreshold_B_star.toFixed(2) : 'Infinity'}`);
 
         // Process in B* chunks if B* is valid and positive
         if (isValidBStar) {
-            while (this.bountyCollectedSinceLastCheckpoint >= this.bountyUpdateThreshold_B_star) {
+            while (ledger.bountyCollectedSinceLastCheckpoint >= this.bountyUpdateThreshold_B_star) {
                 // console.log(`StrikeManager.recordBountyEarned: Processing a B* chunk of ${this.bountyUpdateThreshold_B_star.toFixed(2)}.`);
-                this._updateTargetDestructionForBatch(this.bountyUpdateThreshold_B_star);
-                this.bountyCollectedSinceLastCheckpoint -= this.bountyUpdateThreshold_B_star;
-                // console.log(`StrikeManager.recordBountyEarned: Remaining bounty since checkpoint: ${this.bountyCollectedSinceLastCheckpoint.toFixed(2)}.`);
+                this._updateTargetDestructionForBatch(this.bountyUpdateThreshold_B_star, ledger);
+                ledger.bountyCollectedSinceLastCheckpoint -= this.bountyUpdateThreshold_B_star;
+                // console.log(`StrikeManager.recordBountyEarned: Remaining bounty since checkpoint: ${ledger.bountyCollectedSinceLastCheckpoint.toFixed(2)}.`);
             }
         }
     }
@@ -1549,24 +1674,25 @@ export default class StrikeManager {
      * Calculates and applies a batch of target destruction based on bounty earned.
      * This method updates totalTargetDestructionR and Rn_at_last_bounty_checkpoint.
      * @param {number} bountyAmountInBatch - The amount of bounty in this specific batch (e.g., B* or remaining bounty).
+     * @param {object} [ledger=this] - Whose K_current_wave and Rn_at_last_bounty_checkpoint to use (an open wave's, see startWave).
      * @private
      */
-    _updateTargetDestructionForBatch(bountyAmountInBatch) {
+    _updateTargetDestructionForBatch(bountyAmountInBatch, ledger = this) {
         if (bountyAmountInBatch <= 0) {
             return; // No bounty, no change.
         }
         // K_current_wave should be (dn * Tn) / Bn. If Bn is 0, K_current_wave might be null/Infinity.
-        if (this.K_current_wave === null || this.K_current_wave === undefined || !isFinite(this.K_current_wave)) {
-            // console.warn("StrikeManager._updateTargetDestructionForBatch: K_current_wave is not valid. Cannot update target destruction.", this.K_current_wave);
+        if (ledger.K_current_wave === null || ledger.K_current_wave === undefined || !isFinite(ledger.K_current_wave)) {
+            // console.warn("StrikeManager._updateTargetDestructionForBatch: K_current_wave is not valid. Cannot update target destruction.", ledger.K_current_wave);
             return;
         }
-        if (this.Rn_at_last_bounty_checkpoint === null || this.Rn_at_last_bounty_checkpoint === undefined) {
+        if (ledger.Rn_at_last_bounty_checkpoint === null || ledger.Rn_at_last_bounty_checkpoint === undefined) {
             // console.warn("StrikeManager._updateTargetDestructionForBatch: Rn_at_last_bounty_checkpoint is not set. Cannot update target destruction.");
             return;
         }
 
-        const R_chk = this.Rn_at_last_bounty_checkpoint;
-        const K_n = this.K_current_wave; // This is (dn * Tn) / Bn
+        const R_chk = ledger.Rn_at_last_bounty_checkpoint;
+        const K_n = ledger.K_current_wave; // This is (dn * Tn) / Bn
 
         // R'_chk = R_chk * e^(-K_n * bountyAmountInBatch)
         const R_prime_chk = R_chk * Math.exp(-K_n * bountyAmountInBatch);
@@ -1583,9 +1709,9 @@ export default class StrikeManager {
 
         // Update Rn_at_last_bounty_checkpoint for the next batch/calculation.
         // Ensure it doesn't go negative due to potential floating point inaccuracies or extreme K_n values.
-        this.Rn_at_last_bounty_checkpoint = Math.max(0, R_prime_chk);
+        ledger.Rn_at_last_bounty_checkpoint = Math.max(0, R_prime_chk);
 
-        // console.log(`StrikeManager: Updated Rn_at_last_bounty_checkpoint to ${this.Rn_at_last_bounty_checkpoint.toFixed(4)}`);
+        // console.log(`StrikeManager: Updated Rn_at_last_bounty_checkpoint to ${ledger.Rn_at_last_bounty_checkpoint.toFixed(4)}`);
     }
     // --- END NEW METHOD ---
 
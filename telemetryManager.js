@@ -0,0 +1,223 @@
+import { GAME_EVENTS } from './gameEventBus.js';
+
+/**
+ * Keeps one record per wave of what the wave was projected to do and what it actually did, for
+ * tuning the balance model (see the theory page). Records are built from the game event bus only,
+ * so they never affect the simulation, and replays rebuild them exactly.
+ *
+ * | Field                      | Meaning                                                            |
+ * |----------------------------|--------------------------------------------------------------------|
+ * | `projectedDurationSeconds` | Tn: WaveManager's spawn-to-clear estimate                          |
+ * | `actualDurationSeconds`    | Spawn to clear (null while the wave is running)                    |
+ * | `bountyAvailable`          | Bn: bounty of all the wave's enemies                               |
+ * | `bountyEarned`             | Bounty of the wave's enemies that were killed                      |
+ * | `deathDistances`           | Path distance (px) at which each of the wave's enemies died        |
+ * | `enemiesLeaked`            | The wave's enemies that reached the base                           |
+ * | `baseDamageTaken`          | Base HP lost to the wave's enemies                                 |
+ * | `dn`                       | StrikeManager's required destruction rate for the wave             |
+ * | `targetR`                  | dn * Tn: the earning rate strikes should destroy during the wave   |
+ * | `dealtR`                   | Earning rate strikes destroyed while the wave was the newest one   |
+ *
+ * Kills, leaks and damage count towards the wave that spawned the enemy, so overlapping waves keep
+ * separate tallies. Strikes aren't tied to an enemy and count towards the newest wave.
+ */
+const TELEMETRY_FORMAT_VERSION = 1;
+const CSV_COLUMNS = [
+    'waveNumber', 'projectedDurationSeconds', 'actualDurationSeconds', 'bountyAvailable', 'bountyEarned',
+    'enemiesSpawned', 'enemiesKilled', 'enemiesLeaked', 'baseDamageTaken',
+    'averageDeathDistance', 'deathDistanceMin', 'deathDistanceP25', 'deathDistanceMedian', 'deathDistanceP75', 'deathDistanceMax',
+    'dn', 'targetR', 'dealtR', 'strikes'
+];
+
+export default class TelemetryManager extends EventTarget {
+    constructor(game) {
+        super(); // Call EventTarget constructor
+        if (!game || !game.events) {
+            throw new Error("TelemetryManager requires a valid Game instance with an event bus.");
+        }
+        this.game = game;
+        this.records = new Map(); // Wave number -> record
+        this.newestWaveNumber = null; // Wave that strikes are counted towards
+
+        const events = game.events;
+        events.on(GAME_EVENTS.WAVE_STARTED, (detail) => this._onWaveStarted(detail));
+        events.on(GAME_EVENTS.WAVE_CLEARED, (detail) => this._onWaveCleared(detail));
+        events.on(GAME_EVENTS.ENEMY_SPAWNED, ({ waveNumber }) => {
+            const record = this.records.get(waveNumber);
+            if (record) record.enemiesSpawned++;
+        });
+        events.on(GAME_EVENTS.ENEMY_KILLED, ({ enemy, distance, bounty }) => {
+            const record = this.records.get(enemy?.waveNumber);
+            if (!record) return;
+            record.enemiesKilled++;
+            record.bountyEarned += bounty || 0;
+            if (typeof distance === 'number' && isFinite(distance)) record.deathDistances.push(distance);
+        });
+        events.on(GAME_EVENTS.ENEMY_REACHED_BASE, ({ enemy }) => {
+            const record = this.records.get(enemy?.waveNumber);
+            if (record) record.enemiesLeaked++;
+        });
+        events.on(GAME_EVENTS.BASE_DAMAGED, ({ enemy, damage }) => {
+            const record = this.records.get(enemy?.waveNumber);
+            if (record) record.baseDamageTaken += damage || 0;
+        });
+        events.on(GAME_EVENTS.STRIKE_LANDED, ({ damageDealtR }) => {
+            const record = this.records.get(this.newestWaveNumber);
+            if (!record) return;
+            record.strikes++;
+            record.dealtR += damageDealtR || 0;
+        });
+    }
+
+    /**
+     * Drops all records. Called by Game.reset().
+     */
+    reset() {
+        this.records = new Map();
+        this.newestWaveNumber = null;
+        this.dispatchEvent(new CustomEvent('recordsUpdated'));
+    }
+
+    _onWaveStarted({ waveNumber, gameTime }) {
+        const waveManager = this.game.waveManager;
+        const strikeManager = this.game.strikeManager;
+        const projectedDurationSeconds = waveManager?.getWaveDurationSeconds(waveNumber) ?? null;
+        const dn = strikeManager ? strikeManager.currentDn : null; // StrikeManager.startWave() has already run
+        this.records.set(waveNumber, {
+            waveNumber,
+            startTime: gameTime,
+            clearTime: null,
+            projectedDurationSeconds,
+            actualDurationSeconds: null,
+            bountyAvailable: waveManager?.getWaveTotalBounty(waveNumber) ?? null,
+            bountyEarned: 0,
+            enemiesSpawned: 0,
+            enemiesKilled: 0,
+            enemiesLeaked: 0,
+            baseDamageTaken: 0,
+            deathDistances: [],
+            dn,
+            targetR: (typeof dn === 'number' && typeof projectedDurationSeconds === 'number') ? dn * projectedDurationSeconds : null,
+            dealtR: 0,
+            strikes: 0
+        });
+        this.newestWaveNumber = waveNumber;
+        this.dispatchEvent(new CustomEvent('recordsUpdated'));
+    }
+
+    _onWaveCleared({ waveNumber, durationMs, gameTime }) {
+        const record = this.records.get(waveNumber);
+        if (!record) return;
+        record.clearTime = gameTime;
+        record.actualDurationSeconds = durationMs / 1000;
+        this.dispatchEvent(new CustomEvent('recordsUpdated'));
+    }
+
+    /**
+     * @returns {object[]} The records, oldest wave first, each with its death distance summary added:
+     *   averageDeathDistance and deathDistanceMin / P25 / Median / P75 / Max (null without deaths).
+     */
+    getRecords() {
+        return Array.from(this.records.values())
+            .sort((a, b) => a.waveNumber - b.waveNumber)
+            .map(record => ({ ...record, deathDistances: [...record.deathDistances], ...summarizeDistances(record.deathDistances) }));
+    }
+
+    /**
+     * @returns {string} One CSV row per wave (see CSV_COLUMNS), with a header row.
+     */
+    toCsv() {
+        const rows = this.getRecords().map(record => CSV_COLUMNS.map(column => formatCsvValue(record[column])).join(','));
+        return [CSV_COLUMNS.join(','), ...rows].join('\n');
+    }
+
+    /**
+     * @returns {object} The records plus the run they belong to, including every death distance.
+     */
+    toJson() {
+        return {
+            version: TELEMETRY_FORMAT_VERSION,
+            exportedAt: new Date().toISOString(),
+            levelId: this.game.levelId,
+            seed: this.game.getSeed(),
+            difficulty: this.game.selectedDifficulty ?? null,
+            records: this.getRecords()
+        };
+    }
+
+    /**
+     * Offers the records as a file download (browser only).
+     * @param {'csv'|'json'} format - File format.
+     * @returns {boolean} True if a file was offered for download.
+     */
+    exportToFile(format) {
+        if (this.game.headless || this.records.size === 0) {
+            console.warn("TelemetryManager: Nothing to export.");
+            return false;
+        }
+        const isCsv = format === 'csv';
+        const content = isCsv ? this.toCsv() : JSON.stringify(this.toJson(), null, 2);
+        const blob = new Blob([content], { type: isCsv ? 'text/csv' : 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `spuders-telemetry-seed${this.game.getSeed()}.${isCsv ? 'csv' : 'json'}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+        return true;
+    }
+
+    // --- Save/resume support ---
+    /**
+     * @returns {object} The records so far, so a resumed game keeps its telemetry.
+     */
+    serializeState() {
+        return {
+            records: Array.from(this.records.values(), record => ({ ...record, deathDistances: [...record.deathDistances] })),
+            newestWaveNumber: this.newestWaveNumber
+        };
+    }
+
+    /**
+     * @param {object} state - State from serializeState(). Expects reset() to have run first.
+     */
+    restoreState(state) {
+        if (!state) return;
+        this.records = new Map((state.records || []).map(record => [record.waveNumber, { ...record, deathDistances: [...(record.deathDistances || [])] }]));
+        this.newestWaveNumber = state.newestWaveNumber ?? null;
+        this.dispatchEvent(new CustomEvent('recordsUpdated'));
+    }
+}
+
+/**
+ * @param {number[]} distances - Death distances of one wave.
+ * @returns {object} Mean and quartiles (linear interpolation), all null if there are none.
+ */
+function summarizeDistances(distances) {
+    if (distances.length === 0) {
+        return { averageDeathDistance: null, deathDistanceMin: null, deathDistanceP25: null, deathDistanceMedian: null, deathDistanceP75: null, deathDistanceMax: null };
+    }
+    const sorted = [...distances].sort((a, b) => a - b);
+    const quantile = (q) => {
+        const position = (sorted.length - 1) * q;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    };
+    return {
+        averageDeathDistance: sorted.reduce((sum, distance) => sum + distance, 0) / sorted.length,
+        deathDistanceMin: sorted[0],
+        deathDistanceP25: quantile(0.25),
+        deathDistanceMedian: quantile(0.5),
+        deathDistanceP75: quantile(0.75),
+        deathDistanceMax: sorted[sorted.length - 1]
+    };
+}
+
+function formatCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toFixed(4);
+    return String(value);
+}
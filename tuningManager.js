@@ -1,13 +1,13 @@
-async function calculateSHA256(message) {
-    const msgBuffer = new TextEncoder().encode(message); // encode as UTF-8
-    const hashBuffer = await crypto.subtle.digest('SHA-256', msgBuffer); // hash the message
-    const hashArray = Array.from(new Uint8Array(hashBuffer)); // convert buffer to byte array
-    const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join(''); // convert bytes to hex string
-    return hashHex;
-}
+import { getLoadedAssetText, setLoadedAssetText } from './utils/dataLoaders.js';
 
-export default class TuningManager {
+/**
+ * Polls the registered config files and hands changed content to their managers (live tuning).
+ * Dispatches `parametersUpdated` (detail: { dataPath, rawContent }) after each applied change, so
+ * replays can record it (see ReplayManager).
+ */
+export default class TuningManager extends EventTarget {
     constructor(updateIntervalMs = 5000) { // Default to 5 seconds, configurable
+        super(); // Call EventTarget constructor
         this.updateIntervalMs = updateIntervalMs;
         this.registeredManagers = []; // Stores { manager: object, dataPath: string }
         this.intervalId = null;
@@ -30,7 +30,8 @@ export default class TuningManager {
              console.error(`Manager being registered with TuningManager requires a valid dataPath.`);
              return;
         }
-        this.registeredManagers.push({ manager, dataPath, previousRawContent: null });
+        // MODIFIED: Start from the content the game loaded, so the first poll only reports real changes
+        this.registeredManagers.push({ manager, dataPath, previousRawContent: getLoadedAssetText(dataPath) });
         //console.log(`TuningManager: Registered manager for data path: ${dataPath}`);
     }
 
@@ -100,11 +101,7 @@ export default class TuningManager {
 
                 if (currentRawContent !== registration.previousRawContent) { // Compare raw content
                     //console.log(`TuningManager: Detected change in ${registration.dataPath}`);
-                    registration.previousRawContent = currentRawContent; // Update stored raw content FIRST
-                    const newData = JSON.parse(currentRawContent);
-                    
-                    // Now, attempt to apply the update. If this fails, TuningManager has still noted the file change.
-                registration.manager.applyParameterUpdates(newData);
+                    this.applyUpdate(registration.dataPath, currentRawContent);
                 } else {
                     // Optional: log that no change was detected (raw content matched previous)
                     // console.log(`TuningManager: No change detected in ${registration.dataPath} (raw content matched previous)`);
@@ -116,5 +113,33 @@ export default class TuningManager {
         }
     }
 
-    // Optional: Add methods to unregister managers if needed during game lifecycle
+    // --- ADDED: Shared by polling and replays ---
+    /**
+     * Applies new content for a registered config file to its manager.
+     * @param {string} dataPath - The registered path.
+     * @param {string} rawContent - The file's new (JSON) content.
+     * @returns {boolean} True if a manager was registered for the path and the update was applied.
+     */
+    applyUpdate(dataPath, rawContent) {
+        const registration = this.registeredManagers.find(entry => entry.dataPath === dataPath);
+        if (!registration) {
+            console.warn(`TuningManager: No manager registered for ${dataPath}. Update ignored.`);
+            return false;
+        }
+        registration.previousRawContent = rawContent; // Noted even if applying fails, so a bad file isn't retried every poll
+        setLoadedAssetText(dataPath, rawContent);
+        registration.manager.applyParameterUpdates(JSON.parse(rawContent));
+        this.dispatchEvent(new CustomEvent('parametersUpdated', { detail: { dataPath, rawContent } }));
+        return true;
+    }
+    // --- END ADDED ---
+
+    /**
+     * Removes all registrations (e.g. before the game rebuilds its managers for another level).
+     * Stops the periodic updates; call start() again after registering the new managers.
+     */
+    unregisterAll() {
+        this.stop();
+        this.registeredManagers = [];
+    }
 }
@@ -1,6 +1,104 @@
 import * as PIXI from 'pixi.js';
 import { Texture, Rectangle } from 'pixi.js';
 
+// --- ADDED: Pluggable asset reader (headless / Node support) ---
+let assetTextReader = null;
+const loadedAssetTexts = {}; // Asset path -> content last loaded through loadText (or a live tuning update)
+
+/**
+ * @param {string} filePath - Asset path as passed to loadText (may have a query string or leading './').
+ * @returns {string} The key the asset is stored under.
+ */
+function toAssetKey(filePath) {
+    return filePath.split('?')[0].replace(/^\.\//, '');
+}
+
+/**
+ * Hashes a string with SHA-256.
+ * @param {string} message - The text to hash.
+ * @returns {Promise<string>} The hash as a hex string.
+ */
+export async function calculateSHA256(message) {
+    const msgBuffer = new TextEncoder().encode(message); // encode as UTF-8
+    const hashBuffer = await crypto.subtle.digest('SHA-256', msgBuffer); // hash the message
+    const hashArray = Array.from(new Uint8Array(hashBuffer)); // convert buffer to byte array
+    const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join(''); // convert bytes to hex string
+    return hashHex;
+}
+
+/**
+ * Returns the content hashes of every text asset (configs, CSVs) loaded so far. Hashed on demand,
+ * so plain asset loading never depends on crypto.subtle (which only secure contexts have).
+ * Replays record these to detect that they are being played against different configs.
+ * @returns {Promise<Object<string, string>|null>} Asset path -> SHA-256 hex, or null where hashing is unavailable.
+ */
+export async function getLoadedAssetHashes() {
+    if (!globalThis.crypto?.subtle) return null;
+    const hashes = {};
+    for (const [assetPath, text] of Object.entries(loadedAssetTexts)) {
+        hashes[assetPath] = await calculateSHA256(text);
+    }
+    return hashes;
+}
+
+/**
+ * Replaces the stored content of an asset that was reloaded outside loadText (TuningManager),
+ * so later replay recordings hash what the game is actually running with.
+ * @param {string} filePath - Asset path.
+ * @param {string} text - The new content.
+ */
+export function setLoadedAssetText(filePath, text) {
+    loadedAssetTexts[toAssetKey(filePath)] = text;
+}
+
+/**
+ * @param {string} filePath - Asset path.
+ * @returns {string|null} The content last loaded for the asset, or null if it hasn't been loaded.
+ */
+export function getLoadedAssetText(filePath) {
+    return loadedAssetTexts[toAssetKey(filePath)] ?? null;
+}
+
+/**
+ * Overrides how text assets (JSON, CSV) are read. Headless runs in Node pass a
+ * reader backed by the file system; passing null restores the default fetch.
+ * @param {function(string): Promise<string>|null} reader - Receives the asset path (query string stripped) and resolves with its contents.
+ */
+export function setAssetTextReader(reader) {
+    assetTextReader = typeof reader === 'function' ? reader : null;
+}
+
+/**
+ * Loads a text asset using the configured reader, falling back to fetch.
+ * @param {string} filePath - Path to the asset, relative to the public root.
+ * @returns {Promise<string>} The file contents.
+ */
+export async function loadText(filePath) {
+    const cleanPath = toAssetKey(filePath);
+    let text;
+    if (assetTextReader) {
+        text = await assetTextReader(cleanPath);
+    } else {
+        const response = await fetch(filePath);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status} loading ${filePath}`);
+        }
+        text = await response.text();
+    }
+    loadedAssetTexts[cleanPath] = text;
+    return text;
+}
+
+/**
+ * Loads and parses a JSON asset. See loadText.
+ * @param {string} filePath - Path to the JSON file.
+ * @returns {Promise<any>} The parsed JSON.
+ */
+export async function loadJson(filePath) {
+    return JSON.parse(await loadText(filePath));
+}
+// --- END ADDED ---
+
 /**
  * Loads a CSV file where the first column is an integer range/index
  * and the second column is a numerical value, creating a lookup array.
@@ -9,11 +107,7 @@ import { Texture, Rectangle } from 'pixi.js';
  */
 export async function loadCsvLookup(filePath) {
     try {
-        const response = await fetch(filePath);
-        if (!response.ok) {
-             throw new Error(`HTTP error! status: ${response.status} loading ${filePath}`);
-        }
-        const data = await response.text();
+        const data = await loadText(filePath);
         const lines = data.trim().split('\n');
         const header = lines.shift(); // Remove header row
         
@@ -0,0 +1,101 @@
+/**
+ * Seedable pseudo-random number generator (mulberry32).
+ * The Game owns a single instance and every manager draws from it, so a seed
+ * fully determines a run (wave compositions, strike targeting and scatter).
+ */
+export default class SeededRandom {
+    /**
+     * @param {number|string} seed - Initial seed. Strings are hashed (numeric strings are parsed).
+     */
+    constructor(seed) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Creates a fresh seed for runs where none was requested.
+     * @returns {number} An unsigned 32-bit seed.
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Converts a seed value (number or string) into an unsigned 32-bit integer.
+     * @param {number|string} seed - The seed to normalize.
+     * @returns {number} An unsigned 32-bit seed.
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+        const text = String(seed ?? '').trim();
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+        // FNV-1a hash so word seeds ("bugreport-42") are shareable too
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Sets a new seed and restarts the sequence.
+     * @param {number|string} seed - The new seed.
+     */
+    setSeed(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Restarts the sequence from the current seed.
+     */
+    reset() {
+        this.state = this.seed;
+    }
+
+    /**
+     * @returns {number} The current (normalized) seed.
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * @returns {number} The position in the sequence (for save games).
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Continues the sequence from a position captured by getState().
+     * @param {number} state - A state from getState().
+     */
+    setState(state) {
+        this.state = state >>> 0;
+    }
+
+    /**
+     * Drop-in replacement for Math.random().
+     * @returns {number} A float in [0, 1).
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * @param {number} maxExclusive - Upper bound (exclusive).
+     * @returns {number} An integer in [0, maxExclusive).
+     */
+    nextInt(maxExclusive) {
+        return Math.floor(this.next() * maxExclusive);
+    }
+}
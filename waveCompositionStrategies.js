@@ -0,0 +1,230 @@
+/**
+ * Wave composition strategies: how a generated wave picks its enemies to meet its target difficulty.
+ * waves.json selects one by name in `waveGeneration.strategy` (default 'balanced'). Authored waves
+ * and the boss of a boss wave bypass the strategy; spawn timing and bounty are shared by all of them
+ * and stay in WaveManager.
+ *
+ * A strategy is a function `(context) => Array<{ id, cost }>` returning one entry per enemy to spawn:
+ * - `context.waveNumber` - The wave being generated.
+ * - `context.targetDifficulty` - Total difficulty (sum of hp * speed) to aim for.
+ * - `context.enemyTypes` - Regular enemy types as `{ id, cost }`, cheapest first.
+ * - `context.config` - waveConfig.waveGeneration, for strategy parameters.
+ * - `context.rng` - The game's SeededRandom. Draw only from it, so seeds and replays stay deterministic.
+ *
+ * | Strategy      | Enemy mix                                                        | Parameters                                   |
+ * |---------------|------------------------------------------------------------------|----------------------------------------------|
+ * | `balanced`    | Equal difficulty share per type; cheap types that would swarm    | maxPrepopulationPerType, minEnemyTypes       |
+ * |               | (more than maxPrepopulationPerType) are left out                 |                                              |
+ * | `weighted`    | Difficulty shared in proportion to each type's weight            | typeWeights: { enemyId: weight }             |
+ * | `theme`       | A single, randomly picked type that fits the target              | -                                            |
+ * | `progressive` | `balanced` over the types unlocked so far: the cheapest at wave  | introduceEvery (default 3), plus balanced's  |
+ * |               | 1, then one more (by cost) every introduceEvery waves            |                                              |
+ *
+ * Apart from `theme` (which takes the whole count closest to the target), the strategies then add
+ * or drop random enemies until the total is within difficultyTolerance of the target (at most
+ * maxSelectionAttempts steps, after which the closest non-empty selection found is used).
+ */
+
+export const DEFAULT_WAVE_COMPOSITION_STRATEGY = 'balanced';
+
+const strategies = new Map();
+
+/**
+ * Adds (or replaces) a strategy that waves.json can select by name.
+ * @param {string} name - Name used in waveGeneration.strategy.
+ * @param {function(object): Array<{id: string, cost: number}>} strategy - See the module comment.
+ */
+export function registerWaveCompositionStrategy(name, strategy) {
+    if (typeof strategy !== 'function') {
+        console.error(`registerWaveCompositionStrategy: Strategy '${name}' must be a function.`);
+        return;
+    }
+    strategies.set(name, strategy);
+}
+
+/**
+ * @param {string} [name] - Strategy name from waveGeneration.strategy.
+ * @returns {function(object): Array<{id: string, cost: number}>} The strategy, or the default one if the name is unknown.
+ */
+export function getWaveCompositionStrategy(name = DEFAULT_WAVE_COMPOSITION_STRATEGY) {
+    const strategy = strategies.get(name);
+    if (!strategy) {
+        console.warn(`Wave composition: Unknown strategy '${name}'. Using '${DEFAULT_WAVE_COMPOSITION_STRATEGY}'.`);
+        return strategies.get(DEFAULT_WAVE_COMPOSITION_STRATEGY);
+    }
+    return strategy;
+}
+
+// --- Shared helpers ---
+
+/**
+ * Splits the target difficulty between the given types and converts each share to a whole number of enemies.
+ * @param {number} targetDifficulty - The total difficulty to distribute.
+ * @param {Array<{id: string, cost: number}>} enemyTypes - The types to share between.
+ * @param {function({id: string, cost: number}): number} [getWeight] - Relative share per type (default: equal shares).
+ * @returns {Map<string, number>} Enemy ID -> floor(share / cost). Zero-cost types get Infinity.
+ */
+function calculateShareCounts(targetDifficulty, enemyTypes, getWeight = () => 1) {
+    const counts = new Map();
+    const totalWeight = enemyTypes.reduce((sum, enemyType) => sum + getWeight(enemyType), 0);
+    if (enemyTypes.length === 0 || totalWeight <= 0) return counts;
+
+    enemyTypes.forEach(enemyType => {
+        const share = targetDifficulty * getWeight(enemyType) / totalWeight;
+        counts.set(enemyType.id, enemyType.cost > 0 ? Math.floor(share / enemyType.cost) : Infinity);
+    });
+    return counts;
+}
+
+/**
+ * Builds the initial selection from share counts.
+ * @param {Array<{id: string, cost: number}>} enemyTypes - Types in spawn order.
+ * @param {Map<string, number>} counts - From calculateShareCounts().
+ * @returns {Array<{id: string, cost: number}>} One entry per enemy.
+ */
+function fillFromCounts(enemyTypes, counts) {
+    const selectedEnemies = [];
+    enemyTypes.forEach(enemyType => {
+        const numToAdd = counts.get(enemyType.id) || 0;
+        if (numToAdd > 0 && isFinite(numToAdd)) {
+            for (let i = 0; i < numToAdd; i++) {
+                selectedEnemies.push(enemyType);
+            }
+        }
+    });
+    return selectedEnemies;
+}
+
+/**
+ * Adds random enemies from the pool (while under target) or drops random selected ones (while over)
+ * until the total difficulty is within difficultyTolerance of the target. Modifies selectedEnemies.
+ * If no mix gets within tolerance (e.g. every type costs more than the tolerance band is wide), the
+ * closest non-empty selection seen is kept, so a wave with a positive target never ends up empty.
+ * @param {Array<{id: string, cost: number}>} selectedEnemies - The selection so far.
+ * @param {Array<{id: string, cost: number}>} pool - Types that may be added.
+ * @param {object} context - The strategy context.
+ * @param {function({id: string, cost: number}): number} [getWeight] - Makes additions weighted instead of uniform.
+ * @returns {Array<{id: string, cost: number}>} selectedEnemies.
+ */
+function refineTowardsTarget(selectedEnemies, pool, context, getWeight = null) {
+    const { targetDifficulty, config, rng, waveNumber } = context;
+    const maxAttempts = config.maxSelectionAttempts || 200;
+    const tolerance = config.difficultyTolerance || 0.10;
+    let currentDifficulty = selectedEnemies.reduce((sum, enemy) => sum + enemy.cost, 0);
+    let closest = null; // Closest non-empty selection so far: { enemies, difficulty }
+    const keepIfClosest = () => {
+        if (selectedEnemies.length === 0) return;
+        if (!closest || Math.abs(targetDifficulty - currentDifficulty) < Math.abs(targetDifficulty - closest.difficulty)) {
+            closest = { enemies: [...selectedEnemies], difficulty: currentDifficulty };
+        }
+    };
+    const isWithinTolerance = () => {
+        const relativeDiff = targetDifficulty > 0 ? Math.abs(targetDifficulty - currentDifficulty) / targetDifficulty : 0;
+        return relativeDiff <= tolerance && (currentDifficulty > 0 || targetDifficulty <= 0);
+    };
+    keepIfClosest();
+    let attempts = 0;
+    while (attempts < maxAttempts && pool.length > 0) {
+        attempts++;
+        if (isWithinTolerance()) break;
+        const diff = targetDifficulty - currentDifficulty;
+        if (diff > 0 || selectedEnemies.length === 0) {
+            const enemyToAdd = getWeight ? pickWeighted(pool, getWeight, rng) : pool[rng.nextInt(pool.length)];
+            selectedEnemies.push(enemyToAdd);
+            currentDifficulty += enemyToAdd.cost;
+        } else {
+            const randomIndex = rng.nextInt(selectedEnemies.length);
+            currentDifficulty -= selectedEnemies[randomIndex].cost;
+            selectedEnemies.splice(randomIndex, 1);
+        }
+        keepIfClosest();
+    }
+    // The last attempt may have landed within tolerance too, so check the final selection, not the count
+    if (attempts >= maxAttempts && !isWithinTolerance()) {
+        if (closest && targetDifficulty > 0) {
+            selectedEnemies.splice(0, selectedEnemies.length, ...closest.enemies);
+            currentDifficulty = closest.difficulty;
+        }
+        console.warn(`Wave composition (wave ${waveNumber}): Max refinement attempts reached. Using the closest selection found. Actual difficulty: ${currentDifficulty.toFixed(2)} vs Target: ${targetDifficulty.toFixed(2)}`);
+    }
+    return selectedEnemies;
+}
+
+function pickWeighted(pool, getWeight, rng) {
+    const totalWeight = pool.reduce((sum, enemyType) => sum + getWeight(enemyType), 0);
+    let roll = rng.next() * totalWeight;
+    for (const enemyType of pool) {
+        roll -= getWeight(enemyType);
+        if (roll < 0) return enemyType;
+    }
+    return pool[pool.length - 1];
+}
+
+// --- Built-in strategies ---
+
+function balanced(context) {
+    const { targetDifficulty, enemyTypes, config, waveNumber } = context;
+
+    // Whitelist: drop the cheapest types whose equal share would be a swarm, keeping at least minEnemyTypes
+    const maxPrepopulationPerType = config.maxPrepopulationPerType ?? Infinity;
+    const minEnemyTypes = Math.max(1, Math.min(config.minEnemyTypes ?? 1, enemyTypes.length));
+    const initialCounts = calculateShareCounts(targetDifficulty, enemyTypes);
+    const enemyTypesToExclude = new Set();
+    for (let i = 0; i < enemyTypes.length - minEnemyTypes; i++) {
+        const enemyType = enemyTypes[i];
+        const potentialCount = initialCounts.get(enemyType.id) || 0;
+        if (isFinite(maxPrepopulationPerType) && potentialCount > maxPrepopulationPerType) {
+            enemyTypesToExclude.add(enemyType.id);
+        }
+    }
+    let enemyWhitelist = enemyTypes.filter(enemyType => !enemyTypesToExclude.has(enemyType.id));
+    if (enemyWhitelist.length < minEnemyTypes && enemyTypes.length >= minEnemyTypes) {
+        enemyWhitelist = enemyTypes.slice(-minEnemyTypes);
+    }
+    if (enemyWhitelist.length === 0) {
+        console.error(`Wave composition (wave ${waveNumber}): Whitelist empty.`);
+        return [];
+    }
+
+    const selectedEnemies = fillFromCounts(enemyWhitelist, calculateShareCounts(targetDifficulty, enemyWhitelist));
+    return refineTowardsTarget(selectedEnemies, enemyWhitelist, context);
+}
+
+function weighted(context) {
+    const { targetDifficulty, enemyTypes, config, waveNumber } = context;
+    const typeWeights = config.typeWeights || {};
+    const getWeight = enemyType => Math.max(0, typeWeights[enemyType.id] ?? 0);
+    const pool = enemyTypes.filter(enemyType => getWeight(enemyType) > 0);
+    if (pool.length === 0) {
+        console.warn(`Wave composition (wave ${waveNumber}): 'weighted' needs waveGeneration.typeWeights for at least one regular enemy. Falling back to 'balanced'.`);
+        return balanced(context);
+    }
+
+    const selectedEnemies = fillFromCounts(pool, calculateShareCounts(targetDifficulty, pool, getWeight));
+    return refineTowardsTarget(selectedEnemies, pool, context, getWeight);
+}
+
+function theme(context) {
+    const { targetDifficulty, enemyTypes, rng } = context;
+    if (enemyTypes.length === 0 || targetDifficulty <= 0) return []; // E.g. a boss wave without escorts
+
+    // Only types that fit the target at least once; early waves may afford just the cheapest
+    const affordableTypes = enemyTypes.filter(enemyType => enemyType.cost <= targetDifficulty);
+    const pool = affordableTypes.length > 0 ? affordableTypes : enemyTypes.slice(0, 1);
+    const enemyType = pool[rng.nextInt(pool.length)];
+    // With a single type, the closest whole count is as near the target as refinement could get
+    const count = enemyType.cost > 0 ? Math.max(1, Math.round(targetDifficulty / enemyType.cost)) : 1;
+    return new Array(count).fill(enemyType);
+}
+
+function progressive(context) {
+    const { waveNumber, enemyTypes, config } = context;
+    const introduceEvery = Math.max(1, config.introduceEvery ?? 3);
+    const unlockedCount = Math.min(enemyTypes.length, 1 + Math.floor((waveNumber - 1) / introduceEvery));
+    return balanced({ ...context, enemyTypes: enemyTypes.slice(0, unlockedCount) });
+}
+
+registerWaveCompositionStrategy('balanced', balanced);
+registerWaveCompositionStrategy('weighted', weighted);
+registerWaveCompositionStrategy('theme', theme);
+registerWaveCompositionStrategy('progressive', progressive);
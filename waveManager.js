@@ -1,6 +1,42 @@
+import { loadJson } from './utils/dataLoaders.js';
+import { GAME_EVENTS } from './gameEventBus.js';
+import { getWaveCompositionStrategy } from './waveCompositionStrategies.js';
+
 export default class WaveManager extends EventTarget {
     /**
      * Manages the timing and algorithmic generation of enemy waves.
+     *
+     * waves.json may also script individual waves in an optional `waves` array; all other wave
+     * numbers are generated from startingDifficulty * f^(n-1):
+     *   { "wave": 3, "groups": [{ "enemyId": "spider_tank", "count": 4, "spacingMs": 1500, "startOffsetMs": 0, "path": "north" }] }
+     * spacingMs defaults to delayBetweenEnemiesMs, startOffsetMs to 0. `path` (optional) is the ID of
+     * one of the level's spawn paths (levelN.json `paths`); groups without one use the first path.
+     *
+     * On levels with several spawn paths, generated waves are split across them in proportion to the
+     * paths' `weight`, without randomness. Each path's enemies are timed for that path's length.
+     *
+     * Generated waves pick their enemies with the composition strategy named in
+     * `waveGeneration.strategy` (see waveCompositionStrategies.js); spawn timing and bounty are the same for all.
+     * Enemies of the same speed spawn delayBetweenEnemiesMs apart, each gap varied at random by up to
+     * delayBetweenEnemiesVarianceMs; the groups' start times and the wave duration follow from those gaps.
+     *
+     * `bossWaves` (optional) turns every n-th generated wave into a boss wave:
+     *   { "every": 10, "bossId": "spider_queen", "escorts": true }
+     * The boss (an enemies.json entry with "boss": true) spawns once and its difficulty (hp * speed,
+     * see EnemyManager.getEnemyDifficulty) is charged against the wave's target difficulty. With
+     * escorts the rest of the target is filled with regular enemies as usual; without, the boss comes
+     * alone. Authored waves take precedence.
+     *
+     * With `overlappingWaves: true` the countdown to the next wave starts as soon as a wave has
+     * finished spawning, instead of once the screen is clear. Each wave is still finalised (death
+     * distance, strike bookkeeping, waveCleared) when its own enemies are gone.
+     *
+     * `earlyCallBonusFactor` (optional, default 0) sets the reward for sending a wave early: each
+     * skipped countdown second pays that fraction of the upcoming wave's average bounty per second.
+     *
+     * `maxWaves` (optional) makes the level a campaign: no wave starts after wave maxWaves, and once
+     * every wave has cleared the manager finishes and dispatches `victory`. A level's own `maxWaves`
+     * (levelN.json) overrides the one here. In endless mode (Game.setEndlessMode) waves never run out.
      * @param {string} waveDataPath - Path to the wave configuration JSON file (e.g., assets/waves/waves.json).
      * @param {EnemyManager} enemyManager - Instance of the EnemyManager to access current enemy data.
      * @param {function} createEnemyCallback - Function (e.g., enemyManager.createEnemy) to call for spawning.
@@ -34,12 +70,14 @@ export default class WaveManager extends EventTarget {
 
         // Internal state
         this.waveConfig = null;          // Holds loaded wave parameters (initialDelayMs, etc.)
+        this.authoredWaves = new Map();  // ADDED: Wave number -> authored wave from waveConfig.waves
         this.isLoaded = false;           // Flag for successful initial load
         this.isStarted = false;          // Flag to prevent multiple starts
-        this.isFinished = false;         // Flag indicating all waves completed (logic TBD)
+        this.isFinished = false;         // Flag indicating all waves completed (campaign won, or load failure)
+        this.isVictory = false;          // ADDED: True once the last campaign wave has cleared
 
         this.currentWaveNumber = 0;      // Tracks the wave number
-        this.waveStartTime = 0;          // Timestamp when the current wave's spawning began (or calculation)
+        this.waveStartTime = 0;          // Game time when the current wave's spawning began (or calculation)
         this.timeUntilNextWave = 0;      // Countdown timer (in ms) between waves
         this.lastDisplayedSeconds = null; // Tracks the last integer second value displayed
         
@@ -47,8 +85,7 @@ export default class WaveManager extends EventTarget {
         // REMOVED: this.activeWaveState = { ... }; 
         this.waitingForClear = false; // Initialize the new flag
         this.lastAverageDeathDistance = null; // Store the average distance from the last wave
-
-        this.initialWaveTimeoutId = null; // Added: To store the ID of the initial setTimeout
+        this.unclearedWaves = [];       // ADDED: { waveNumber, startTime } of spawned waves with enemies left (overlapping mode)
 
         // --- ADDED: Properties for pre-calculated schedules ---
         this.currentWaveSchedule = [];      // Stores { timestampMs: number, enemyTypeId: string }
@@ -73,11 +110,7 @@ export default class WaveManager extends EventTarget {
         try {
             // Use cache-busting for the initial load as well
             const cacheBustingUrl = `${this.waveDataPath}?t=${Date.now()}`;
-            const response = await fetch(cacheBustingUrl);
-            if (!response.ok) {
-                throw new Error(`Failed to fetch wave config: ${response.statusText} (${response.status})`);
-            }
-            const configData = await response.json();
+            const configData = await loadJson(cacheBustingUrl);
             
             // Initial validation of required parameters
             if (configData.initialDelayMs === undefined || 
@@ -90,6 +123,7 @@ export default class WaveManager extends EventTarget {
             }
 
             this.waveConfig = configData;
+            this.authoredWaves = this._indexAuthoredWaves(configData.waves);
             this.isLoaded = true;
             //console.log(`WaveManager: Successfully loaded and applied wave config from ${this.waveDataPath}`);
             // //console.log("WaveManager: Initial Config:", JSON.stringify(this.waveConfig, null, 2)); // Optional: Log initial config
@@ -128,6 +162,7 @@ export default class WaveManager extends EventTarget {
         
         // Simple overwrite for now. Add validation/merging if needed.
         this.waveConfig = newConfigData; 
+        this.authoredWaves = this._indexAuthoredWaves(newConfigData.waves); // Applies from the next calculated wave
         // //console.log("WaveManager: Updated Config:", JSON.stringify(this.waveConfig, null, 2)); // Optional: Log updated config
 
         // --- ADDED: Trigger recalculation if f changed ---
@@ -141,6 +176,123 @@ export default class WaveManager extends EventTarget {
         // For simplicity, we'll let the current timer run out based on the old value.
     }
 
+    // --- ADDED: Authored waves ---
+    /**
+     * Validates the optional `waves` array from waves.json and indexes it by wave number.
+     * Invalid entries are logged and skipped, so those waves fall back to the generator.
+     * @param {Array<object>|undefined} waves - Authored waves from the config.
+     * @returns {Map<number, object>} Wave number -> authored wave.
+     * @private
+     */
+    _indexAuthoredWaves(waves) {
+        const authoredWaves = new Map();
+        if (waves === undefined) return authoredWaves;
+        if (!Array.isArray(waves)) {
+            console.error("WaveManager: 'waves' in the wave config must be an array. Ignoring authored waves.");
+            return authoredWaves;
+        }
+        for (const wave of waves) {
+            if (!Number.isInteger(wave?.wave) || wave.wave < 1 || !Array.isArray(wave.groups) || wave.groups.length === 0) {
+                console.error("WaveManager: Skipping authored wave (needs a positive integer 'wave' and a non-empty 'groups' array):", wave);
+                continue;
+            }
+            if (authoredWaves.has(wave.wave)) {
+                console.warn(`WaveManager: Wave ${wave.wave} is authored more than once. Using the last entry.`);
+            }
+            authoredWaves.set(wave.wave, wave);
+        }
+        return authoredWaves;
+    }
+
+    /**
+     * Builds the schedule, duration and bounty of an authored wave. Uses no randomness, so
+     * authored waves are the same in every run.
+     * @param {object} authoredWave - Entry from waveConfig.waves.
+     * @param {number} waveNumber - The wave number being built.
+     * @returns {{ schedule: Array<{ timestampMs: number, enemyTypeId: string, pathId?: string }>, durationSeconds: number, totalBounty: number }}
+     * @private
+     */
+    _buildAuthoredWave(authoredWave, waveNumber) {
+        const enemyDefinitions = this.enemyManager.getEnemyDefinitions();
+        const defaultSpacingMs = this.waveConfig.delayBetweenEnemiesMs || 500;
+        const schedule = [];
+        let totalDifficulty = 0;
+        let maxFinishTimeMs = 0;
+
+        for (const group of authoredWave.groups) {
+            const stats = enemyDefinitions[group?.enemyId]?.stats;
+            const count = group?.count;
+            if (!stats || !Number.isInteger(count) || count < 1) {
+                console.error(`WaveManager (authored wave ${waveNumber}): Skipping group with unknown enemyId or invalid count:`, group);
+                continue;
+            }
+            const spacingMs = Math.max(0, group.spacingMs ?? defaultSpacingMs);
+            const startOffsetMs = Math.max(0, group.startOffsetMs ?? 0);
+            let pathId = group.path ?? null;
+            if (pathId !== null && !this.game.getPath(pathId)) {
+                console.warn(`WaveManager (authored wave ${waveNumber}): Unknown path '${pathId}'. Spawning the group on the first path.`);
+                pathId = null;
+            }
+
+            for (let i = 0; i < count; i++) {
+                const entry = { timestampMs: startOffsetMs + i * spacingMs, enemyTypeId: group.enemyId };
+                if (pathId !== null) entry.pathId = pathId;
+                schedule.push(entry);
+            }
+            // Same measures as generated waves: difficulty is hp * speed (abilities priced in), duration ends when the last enemy could reach the base
+            totalDifficulty += count * this.enemyManager.getEnemyDifficulty(group.enemyId);
+            if (stats.speed > 1e-6) {
+                const lastSpawnMs = startOffsetMs + (count - 1) * spacingMs;
+                maxFinishTimeMs = Math.max(maxFinishTimeMs, lastSpawnMs + (this._getPathLength(pathId) / stats.speed) * 1000);
+            }
+        }
+
+        schedule.sort((a, b) => a.timestampMs - b.timestampMs); // Stable, so groups keep their order at equal times
+        const totalBounty = totalDifficulty * this._getBetaForBounty(waveNumber);
+        return {
+            schedule,
+            durationSeconds: maxFinishTimeMs / 1000.0,
+            totalBounty: (isFinite(totalBounty) && totalBounty >= 0) ? totalBounty : 0
+        };
+    }
+
+    /**
+     * Looks up the boss for a wave from waveConfig.bossWaves.
+     * @param {number} waveNumber - The wave number.
+     * @returns {{ id: string, cost: number, escorts: boolean } | null} The boss and its difficulty (hp * speed), or null if not a boss wave.
+     * @private
+     */
+    _getBossForWave(waveNumber) {
+        const bossWaves = this.waveConfig.bossWaves;
+        if (!bossWaves || !(bossWaves.every > 0) || waveNumber % bossWaves.every !== 0) return null;
+
+        const cost = this.enemyManager.getEnemyDifficulty(bossWaves.bossId); // MODIFIED: Abilities and brood priced in
+        if (!this.enemyManager.isBoss(bossWaves.bossId) || cost <= 0) {
+            console.error(`WaveManager (_calcSchedule ${waveNumber}): bossWaves.bossId '${bossWaves.bossId}' is not a boss with positive hp and speed. Generating a regular wave.`);
+            return null;
+        }
+        return { id: bossWaves.bossId, cost, escorts: bossWaves.escorts ?? true };
+    }
+
+    /**
+     * @param {number} waveNumber - Wave being calculated (for log messages).
+     * @returns {number} The currency scale factor (β) used to turn wave difficulty into bounty, or 0 if unavailable.
+     * @private
+     */
+    _getBetaForBounty(waveNumber) {
+        if (this.game && typeof this.game.getBetaFactor === 'function') {
+            const rawBeta = this.game.getBetaFactor();
+            if (typeof rawBeta === 'number' && isFinite(rawBeta) && rawBeta >= 0) {
+                return rawBeta;
+            }
+            console.warn(`WaveManager (_calcSchedule ${waveNumber}): Invalid beta value (${rawBeta}) from game.getBetaFactor(). Using beta = 0.`);
+        } else {
+            console.warn(`WaveManager (_calcSchedule ${waveNumber}): game.getBetaFactor() not available. Using beta = 0.`);
+        }
+        return 0;
+    }
+    // --- END ADDED ---
+
     /**
      * Returns the configured difficulty increase factor (f).
      * @returns {number | undefined} The factor, or undefined if not loaded.
@@ -168,20 +320,18 @@ export default class WaveManager extends EventTarget {
         const initialDelay = this.waveConfig.initialDelayMs || 0;
         //console.log(`WaveManager: Starting system. First wave calculation in ${initialDelay / 1000} seconds.`);
 
-        // Use timeout for the very first wave delay
-        // Store the timeout ID so it can be cleared on reset
-        this.initialWaveTimeoutId = setTimeout(() => { 
-            this.initialWaveTimeoutId = null; // Clear ID once timeout runs
-            if (this.isStarted && !this.isFinished) { // Check if stopped during delay
-                 // Pass the current timestamp to startNextWave
-                 this.startNextWave(performance.now()); 
-            }
-        }, initialDelay);
+        // The first wave delay uses the same game-time countdown as the delay between waves
+        // (see update()), so it respects pause, time scale and tab switching.
+        if (initialDelay > 0) {
+            this.timeUntilNextWave = initialDelay;
+        } else {
+            this.startNextWave(this.game.getGameTime());
+        }
     }
 
     /**
      * Calculates and initiates the next wave by generating schedules.
-     * @param {number} timestamp - The current timestamp from performance.now().
+     * @param {number} timestamp - The current game time (ms), see Game.getGameTime().
      */
     startNextWave(timestamp) {
         if (this.isFinished || !this.isStarted || !this.isLoaded || !this.waveConfig) {
@@ -281,6 +431,7 @@ export default class WaveManager extends EventTarget {
              // console.warn(`WaveManager: StrikeManager.startWave not found when starting wave ${this.currentWaveNumber}.`);
         }
         // --- END ADDED ---
+        this.game.events?.emit(GAME_EVENTS.WAVE_STARTED, { waveNumber: this.currentWaveNumber });
         this.dispatchEvent(new CustomEvent('statusUpdated')); // Wave number changed
         //console.log(`WaveManager: Wave ${this.currentWaveNumber} ready with ${this.currentWaveSchedule.length} scheduled spawns.`);
 
@@ -289,45 +440,12 @@ export default class WaveManager extends EventTarget {
         // REMOVED: Pre-calculation for next wave (now done above)
     }
 
-    /**
-     * Calculates the potential number of each enemy type based on equal difficulty sharing
-     * among the provided list of types.
-     * @param {number} targetDifficulty - The total difficulty to distribute.
-     * @param {Array<{id: string, cost: number}>} enemyTypeList - The list of enemy types to consider.
-     * @returns {Map<string, number>} A map where keys are enemy IDs and values are the calculated potential number to add (floor(share/cost)). Returns an empty map if the list is empty or invalid.
-     * @private
-     */
-    _calculatePotentialCounts(targetDifficulty, enemyTypeList) {
-        const potentialCounts = new Map();
-        if (!Array.isArray(enemyTypeList) || enemyTypeList.length === 0) {
-            // console.warn("WaveManager: _calculatePotentialCounts called with empty or invalid enemy list.");
-            return potentialCounts; // Return empty map
-        }
-
-        const numTypes = enemyTypeList.length;
-        // Prevent division by zero if somehow numTypes is 0 despite check
-        if (numTypes === 0) return potentialCounts; 
-
-        const difficultyPerType = targetDifficulty / numTypes;
-
-        enemyTypeList.forEach(enemyType => {
-            if (enemyType.cost > 0) {
-                const numToAdd = Math.floor(difficultyPerType / enemyType.cost);
-                potentialCounts.set(enemyType.id, numToAdd);
-            } else {
-                potentialCounts.set(enemyType.id, Infinity); // Handle 0 cost - results in Infinity count
-                 // console.warn(`WaveManager: Enemy type ${enemyType.id} has zero cost, potential count set to Infinity.`);
-            }
-        });
-
-        return potentialCounts;
-    }
-
     // --- ADDED: Helper to calculate spawn schedule and duration ---
     /**
      * Generates the enemy list, spawn schedule, and total duration for a given wave number.
+     * Authored waves (waveConfig.waves) are built from their script instead.
      * @param {number} waveNumber - The wave number to calculate for.
-     * @returns {{ schedule: Array<{ timestampMs: number, enemyTypeId: string }>, durationSeconds: number } | null} 
+     * @returns {{ schedule: Array<{ timestampMs: number, enemyTypeId: string, pathId?: string }>, durationSeconds: number } | null} 
      *          Returns the schedule and duration, or null on failure.
      * @private
      */
@@ -340,6 +458,13 @@ export default class WaveManager extends EventTarget {
             }
             // --- END ADDED ---
 
+            // --- ADDED: Authored waves replace the generator for their wave number ---
+            const authoredWave = this.authoredWaves.get(waveNumber);
+            if (authoredWave) {
+                return this._buildAuthoredWave(authoredWave, waveNumber);
+            }
+            // --- END ADDED ---
+
             // --- Target Point & Fallback (same logic as before) ---
             let targetDistance = this.lastAverageDeathDistance;
             if (waveNumber === 1 && targetDistance === null) {
@@ -356,14 +481,23 @@ export default class WaveManager extends EventTarget {
             }
 
             // --- Difficulty & Enemy Selection (same logic) ---
-            const targetDifficulty = this.waveConfig.startingDifficulty * Math.pow(this.waveConfig.difficultyIncreaseFactor, waveNumber - 1);
+            const waveTargetDifficulty = this.waveConfig.startingDifficulty * Math.pow(this.waveConfig.difficultyIncreaseFactor, waveNumber - 1);
             const enemyDefinitions = this.enemyManager.getEnemyDefinitions();
+
+            // --- ADDED: Boss waves charge the boss against the target; regular enemies fill the rest ---
+            const boss = this._getBossForWave(waveNumber);
+            let targetDifficulty = waveTargetDifficulty;
+            if (boss) {
+                targetDifficulty = boss.escorts ? Math.max(0, waveTargetDifficulty - boss.cost) : 0;
+            }
+            // --- END ADDED ---
+
             const availableEnemyCosts = [];
-            const enemyIdsToConsider = Object.keys(enemyDefinitions);
+            const enemyIdsToConsider = Object.keys(this.enemyManager.getRegularEnemyDefinitions()); // Bosses only spawn via bossWaves
             for (const id of enemyIdsToConsider) {
                 const def = enemyDefinitions[id];
                 if (def && def.stats) {
-                    const cost = (def.stats.hp || 0) * (def.stats.speed || 0);
+                    const cost = this.enemyManager.getEnemyDifficulty(id); // MODIFIED: hp * speed with abilities priced in
                     if (cost > 0) { availableEnemyCosts.push({ id: id, cost: cost }); }
                 }
             }
@@ -373,82 +507,31 @@ export default class WaveManager extends EventTarget {
             }
             availableEnemyCosts.sort((a, b) => a.cost - b.cost);
 
-            // --- Whitelisting (same logic) ---
+            // --- ADDED: Enemy selection is delegated to the configured composition strategy ---
             const waveGenConfig = this.waveConfig.waveGeneration || {};
-            let maxPrepopulationPerType = waveGenConfig.maxPrepopulationPerType ?? Infinity;
-            let minEnemyTypes = waveGenConfig.minEnemyTypes ?? 1;
-            minEnemyTypes = Math.max(1, Math.min(minEnemyTypes, availableEnemyCosts.length));
-            const initialPotentialCounts = this._calculatePotentialCounts(targetDifficulty, availableEnemyCosts);
-            const enemyTypesToExclude = new Set();
-            const totalTypes = availableEnemyCosts.length;
-            const maxIndexToConsiderExclusion = totalTypes - minEnemyTypes;
-            for (let i = 0; i < maxIndexToConsiderExclusion; i++) {
-                const enemyType = availableEnemyCosts[i];
-                const potentialCount = initialPotentialCounts.get(enemyType.id) || 0;
-                if (isFinite(maxPrepopulationPerType) && potentialCount > maxPrepopulationPerType) {
-                    enemyTypesToExclude.add(enemyType.id);
-                }
-            }
-            let enemyWhitelist = availableEnemyCosts.filter(enemyType => !enemyTypesToExclude.has(enemyType.id));
-            if (enemyWhitelist.length < minEnemyTypes && totalTypes >= minEnemyTypes) {
-                enemyWhitelist = availableEnemyCosts.slice(-minEnemyTypes);
-            }
-            if (enemyWhitelist.length === 0) {
-                 console.error(`WaveManager (_calcSchedule ${waveNumber}): Whitelist empty.`);
-                 return { schedule: [], durationSeconds: 0 };
-            }
-
-            // --- Refinement (same logic, uses _calculatePotentialCounts internally) ---
-            const finalRequiredCounts = this._calculatePotentialCounts(targetDifficulty, enemyWhitelist);
-            let selectedEnemies = [];
-            let currentDifficulty = 0;
-            enemyWhitelist.forEach(enemyType => {
-                const numToAdd = finalRequiredCounts.get(enemyType.id) || 0;
-                if (numToAdd > 0 && isFinite(numToAdd)) {
-                    for (let i = 0; i < numToAdd; i++) {
-                        selectedEnemies.push(enemyType);
-                        currentDifficulty += enemyType.cost;
-                    }
-                }
-            });
-            const maxAttempts = waveGenConfig.maxSelectionAttempts || 200;
-            const tolerance = waveGenConfig.difficultyTolerance || 0.10;
-            let attempts = 0;
-            while (attempts < maxAttempts && enemyWhitelist.length > 0) {
-                attempts++;
-                const diff = targetDifficulty - currentDifficulty;
-                const relativeDiff = targetDifficulty > 0 ? Math.abs(diff) / targetDifficulty : 0;
-                if (relativeDiff <= tolerance && (currentDifficulty > 0 || targetDifficulty <= 0)) break;
-                if (diff > 0 || selectedEnemies.length === 0) {
-                    const randomIndex = Math.floor(Math.random() * enemyWhitelist.length);
-                    const enemyToAdd = enemyWhitelist[randomIndex];
-                    selectedEnemies.push(enemyToAdd);
-                    currentDifficulty += enemyToAdd.cost;
-                } else {
-                    if (selectedEnemies.length === 0) break; // Should not happen if diff < 0
-                    const randomIndex = Math.floor(Math.random() * selectedEnemies.length);
-                    currentDifficulty -= selectedEnemies[randomIndex].cost;
-                    selectedEnemies.splice(randomIndex, 1);
-                }
-            }
-            if (attempts >= maxAttempts) console.warn(`WaveManager (_calcSchedule ${waveNumber}): Max refinement attempts reached. Actual difficulty: ${currentDifficulty.toFixed(2)} vs Target: ${targetDifficulty.toFixed(2)}`);
+            const compositionStrategy = getWaveCompositionStrategy(waveGenConfig.strategy);
+            const selectedEnemies = compositionStrategy({
+                waveNumber,
+                targetDifficulty,
+                enemyTypes: availableEnemyCosts,
+                config: waveGenConfig,
+                rng: this.game.rng
+            }) || [];
+            let currentDifficulty = selectedEnemies.reduce((sum, enemy) => sum + enemy.cost, 0);
+            // --- END ADDED ---
             if (selectedEnemies.length === 0 && targetDifficulty > 0) {
                  console.warn(`WaveManager (_calcSchedule ${waveNumber}): 0 enemies selected despite target diff > 0. Actual difficulty: ${currentDifficulty.toFixed(2)}`);
                  // currentDifficulty will be 0, so bounty will be 0. This is acceptable.
             }
+            // --- ADDED: The boss counts towards the wave's difficulty, so its bounty is in the total ---
+            if (boss) {
+                selectedEnemies.push({ id: boss.id, cost: boss.cost });
+                currentDifficulty += boss.cost;
+            }
+            // --- END ADDED ---
 
             // --- Calculate Actual Total Bounty for this specific schedule ---
-            let beta = 0;
-            if (this.game && typeof this.game.getBetaFactor === 'function') {
-                const rawBeta = this.game.getBetaFactor();
-                if (typeof rawBeta === 'number' && isFinite(rawBeta) && rawBeta >= 0) {
-                    beta = rawBeta;
-                } else {
-                    console.warn(`WaveManager (_calcSchedule ${waveNumber}): Invalid beta value (${rawBeta}) from game.getBetaFactor(). Using beta = 0.`);
-                }
-            } else {
-                console.warn(`WaveManager (_calcSchedule ${waveNumber}): game.getBetaFactor() not available. Using beta = 0.`);
-            }
+            const beta = this._getBetaForBounty(waveNumber);
             const actualTotalBountyForSchedule = currentDifficulty * beta;
             if (!isFinite(actualTotalBountyForSchedule) || actualTotalBountyForSchedule < 0) {
                 console.warn(`WaveManager (_calcSchedule ${waveNumber}): Calculated actualTotalBountyForSchedule is invalid (${actualTotalBountyForSchedule}). currentDifficulty=${currentDifficulty}, beta=${beta}. Setting to 0.`);
@@ -457,24 +540,31 @@ export default class WaveManager extends EventTarget {
             // --- End Calculate Actual Total Bounty ---
 
             // --- Group by Speed ---
+            // MODIFIED: And by path, so each path's enemies are spaced and timed on their own
+            const pathIds = this._assignPaths(selectedEnemies.length);
             const speedGroupsMap = new Map();
-            selectedEnemies.forEach(enemy => {
+            selectedEnemies.forEach((enemy, index) => {
                 const speed = enemyDefinitions[enemy.id]?.stats?.speed;
-                if (!speedGroupsMap.has(speed)) speedGroupsMap.set(speed, []);
-                speedGroupsMap.get(speed).push(enemy.id);
+                const pathId = pathIds[index];
+                const key = `${pathId}|${speed}`;
+                if (!speedGroupsMap.has(key)) speedGroupsMap.set(key, { speed, pathId, enemies: [] });
+                speedGroupsMap.get(key).enemies.push(enemy.id);
             });
-            let groupsData = Array.from(speedGroupsMap.entries())
-                .map(([speed, enemies]) => ({ speed, enemies, count: enemies.length }))
+            let groupsData = Array.from(speedGroupsMap.values())
+                .map(({ speed, pathId, enemies }) => ({ speed, pathId, enemies, count: enemies.length }))
                 .sort((a, b) => a.speed - b.speed); // Slowest first
 
             // --- Calculate Coordinated Timings ---
-            const deltaT_ms = this.waveConfig.delayBetweenEnemiesMs || 500;
             let maxTotalTime_ms = 0;
             let effectiveUseCoordinated = useCoordinatedSpawn; // Track if it gets disabled
 
             const groupMetrics = groupsData.map(group => {
+                // MODIFIED: Jittered spacing (delayBetweenEnemiesMs +- delayBetweenEnemiesVarianceMs); the
+                // group is centred on its actual spawn span, so its middle still arrives with the other groups
+                const spawnOffsets_ms = this._calculateSpawnOffsets(group.count);
+                const spawnDuration_ms = spawnOffsets_ms[spawnOffsets_ms.length - 1] || 0;
                 let travelTime_ms = Infinity;
-                let offsetTime_ms = (group.count > 1) ? ((group.count - 1) * deltaT_ms / 2) : 0;
+                let offsetTime_ms = spawnDuration_ms / 2;
                 let totalTime_ms = Infinity;
 
                 if (effectiveUseCoordinated) {
@@ -492,7 +582,7 @@ export default class WaveManager extends EventTarget {
                      travelTime_ms = 0;
                      totalTime_ms = 0;
                 }
-                return { ...group, travelTime_ms, offsetTime_ms, totalTime_ms };
+                return { ...group, spawnOffsets_ms, spawnDuration_ms, travelTime_ms, offsetTime_ms, totalTime_ms };
             });
 
             if (!effectiveUseCoordinated) maxTotalTime_ms = 0; // Reset if coordination disabled
@@ -500,22 +590,23 @@ export default class WaveManager extends EventTarget {
             // --- Generate Schedule Entries and Calculate Duration ---
             const schedule = [];
             let maxFinishTimeMs = 0;
-            const L = this.totalPathLength;
 
             groupMetrics.forEach(group => {
+                const L = this._getPathLength(group.pathId);
                 const groupFinalStartTimeMs = effectiveUseCoordinated ? Math.max(0, maxTotalTime_ms - group.totalTime_ms) : 0;
                 let groupFinishTimeMs = 0;
 
                 for (let i = 0; i < group.count; i++) {
-                    const spawnTimeMs = groupFinalStartTimeMs + (i * deltaT_ms);
-                    schedule.push({ timestampMs: spawnTimeMs, enemyTypeId: group.enemies[i] });
+                    const spawnTimeMs = groupFinalStartTimeMs + group.spawnOffsets_ms[i];
+                    const entry = { timestampMs: spawnTimeMs, enemyTypeId: group.enemies[i] };
+                    if (group.pathId !== null) entry.pathId = group.pathId;
+                    schedule.push(entry);
                 }
 
                 // Calculate finish time for the last enemy of this group
                 if (group.speed > 1e-6) {
-                    const spawnDurationMs = (group.count > 1) ? (group.count - 1) * deltaT_ms : 0;
                     const travelTimeL_ms = (L / group.speed) * 1000;
-                    groupFinishTimeMs = groupFinalStartTimeMs + spawnDurationMs + travelTimeL_ms;
+                    groupFinishTimeMs = groupFinalStartTimeMs + group.spawnDuration_ms + travelTimeL_ms;
                     maxFinishTimeMs = Math.max(maxFinishTimeMs, groupFinishTimeMs);
                 } else {
                      // If speed is zero, they never finish the path? Set finish time?
@@ -541,11 +632,70 @@ export default class WaveManager extends EventTarget {
     }
     // --- END ADDED HELPER ---
 
-    // Helper method - unchanged
+    // --- ADDED: Spawn paths ---
+    /**
+     * Spreads a wave's enemies over the level's spawn paths in proportion to their weights, using
+     * smooth weighted round-robin (no randomness, so seeded runs are unchanged).
+     * @param {number} count - Number of enemies in the wave.
+     * @returns {Array<string|null>} Path ID per enemy, in order; all null when the level has a single path.
+     * @private
+     */
+    _assignPaths(count) {
+        const paths = this.game.getPaths?.() || [];
+        if (paths.length <= 1) return new Array(count).fill(null);
+
+        const totalWeight = paths.reduce((sum, path) => sum + path.weight, 0);
+        const weights = paths.map(path => totalWeight > 0 ? path.weight : 1);
+        const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+        const current = paths.map(() => 0);
+        const pathIds = [];
+        for (let n = 0; n < count; n++) {
+            let best = 0;
+            for (let i = 0; i < paths.length; i++) {
+                current[i] += weights[i];
+                if (current[i] > current[best]) best = i;
+            }
+            current[best] -= weightSum;
+            pathIds.push(paths[best].id);
+        }
+        return pathIds;
+    }
+
+    /**
+     * @param {string|null} pathId - A spawn path ID, or null for the first path.
+     * @returns {number} The length enemies on that path walk to the base.
+     * @private
+     */
+    _getPathLength(pathId) {
+        return this.game.getPath?.(pathId)?.totalPathLength ?? this.totalPathLength;
+    }
+    // --- END ADDED ---
+
+    // --- ADDED: Per-enemy spawn jitter ---
+    /**
+     * Spawn times of a group's enemies relative to its first one, each gap drawn by _calculateRandomSpawnDelay().
+     * @param {number} count - Number of enemies in the group.
+     * @returns {number[]} Offsets in ms, starting at 0 and non-decreasing.
+     * @private
+     */
+    _calculateSpawnOffsets(count) {
+        const offsets = [];
+        let offsetMs = 0;
+        for (let i = 0; i < count; i++) {
+            if (i > 0) offsetMs += this._calculateRandomSpawnDelay();
+            offsets.push(offsetMs);
+        }
+        return offsets;
+    }
+    // --- END ADDED ---
+
+    // Helper method
+    // MODIFIED: No draw from the seeded RNG without variance, so such configs keep their exact schedules
     _calculateRandomSpawnDelay() {
         const baseDelay = this.waveConfig.delayBetweenEnemiesMs || 500;
         const variance = this.waveConfig.delayBetweenEnemiesVarianceMs || 0;
-        const randomVariance = (Math.random() * 2 - 1) * variance;
+        if (variance <= 0) return baseDelay;
+        const randomVariance = (this.game.rng.next() * 2 - 1) * variance;
         const nextDelay = Math.max(0, baseDelay + randomVariance);
         return nextDelay;
     }
@@ -553,7 +703,7 @@ export default class WaveManager extends EventTarget {
     /**
      * Updates the state of wave spawning based on the elapsed time.
      * Should be called in the main game loop.
-     * @param {number} timestamp - The current high-resolution timestamp (e.g., from performance.now()).
+     * @param {number} timestamp - The current game time (ms), see Game.getGameTime().
      * @param {number} deltaTime - The time elapsed (in milliseconds) since the last update.
      */
     update(timestamp, deltaTime) {
@@ -561,34 +711,29 @@ export default class WaveManager extends EventTarget {
             return; // Do nothing if finished, not started, or config not loaded
         }
 
+        // --- ADDED: Overlapping waves are finalised independently of the state machine ---
+        if (this.unclearedWaves.length > 0) {
+            this._finalizeClearedWaves(timestamp);
+        }
+        // --- END ADDED ---
+
         // --- State Machine Logic ---
 
         // State 1: Waiting for screen to clear
         if (this.waitingForClear) {
             if (this.enemyManager && typeof this.enemyManager.getActiveEnemies === 'function' && this.enemyManager.getActiveEnemies().length === 0) {
                 // --- Screen is clear! ---
-                const clearTime = timestamp;
                 //console.log(`WaveManager: Screen cleared after Wave ${this.currentWaveNumber} at ${timestamp.toFixed(0)}ms.`);
-                // Calculate average death distance for the wave that just cleared
-                if (typeof this.enemyManager.calculateAverageDeathDistance === 'function') {
-                    this.lastAverageDeathDistance = this.enemyManager.calculateAverageDeathDistance(); // Log is inside the function
-                }
-
-                // --- ADDED: Trigger StrikeManager final calculation --- 
-                if (this.game.strikeManager && typeof this.game.strikeManager.finalizeWaveDamage === 'function') {
-                    this.game.strikeManager.finalizeWaveDamage(this.currentWaveNumber, this.waveStartTime, clearTime);
-                } else {
-                     // Log warning if StrikeManager or method is missing - might be expected temporarily
-                     // console.warn(`WaveManager: StrikeManager.finalizeWaveDamage not found when clearing wave ${this.currentWaveNumber}.`);
-                }
-                // --- END ADDED ---
+                this._finalizeWave(this.currentWaveNumber, this.waveStartTime, timestamp);
                 
                 this.waitingForClear = false; // *** Transition OUT of Waiting State ***
                 
-                // Start the timer for the next wave
-                this.timeUntilNextWave = this.waveConfig.delayBetweenWavesMs;
-                //console.log(`WaveManager: Next wave calculation starting in ${this.timeUntilNextWave / 1000} seconds.`);
-                 this.lastDisplayedSeconds = Math.ceil(this.timeUntilNextWave / 1000);
+                // Start the timer for the next wave (the campaign check below ends the game after the last one)
+                if (this._hasMoreWaves()) {
+                    this.timeUntilNextWave = this.waveConfig.delayBetweenWavesMs;
+                    //console.log(`WaveManager: Next wave calculation starting in ${this.timeUntilNextWave / 1000} seconds.`);
+                    this.lastDisplayedSeconds = Math.ceil(this.timeUntilNextWave / 1000);
+                }
                  this.dispatchEvent(new CustomEvent('statusUpdated')); // Status changed to delay timer
             }
             // If still waiting, do nothing else this frame
@@ -626,7 +771,9 @@ export default class WaveManager extends EventTarget {
                    this.currentWaveSchedule[this.scheduleIndex].timestampMs <= elapsedWaveTimeMs)
             {
                 const spawnInfo = this.currentWaveSchedule[this.scheduleIndex];
-                this.createEnemy(spawnInfo.enemyTypeId, 0); // Spawn at start (distance 0)
+                const waveNumber = this.currentWaveNumber;
+                const enemy = this.createEnemy(spawnInfo.enemyTypeId, waveNumber, spawnInfo.pathId ?? null); // Spawn at start (distance 0)
+                if (enemy) this.game.events?.emit(GAME_EVENTS.ENEMY_SPAWNED, { enemy, waveNumber });
                 spawnsProcessedThisFrame++;
                 this.scheduleIndex++;
             }
@@ -634,7 +781,16 @@ export default class WaveManager extends EventTarget {
             // Check if the schedule finished *in this frame*
             if (this.scheduleIndex >= this.currentWaveSchedule.length) {
                 const waveHadSpawns = this.currentWaveSchedule && this.currentWaveSchedule.length > 0;
-                if (waveHadSpawns) { 
+                if (waveHadSpawns && this.waveConfig.overlappingWaves) {
+                    // --- ADDED: Overlapping mode: finalise this wave once its own enemies are gone, count down now ---
+                    this.unclearedWaves.push({ waveNumber: this.currentWaveNumber, startTime: this.waveStartTime });
+                    if (this._hasMoreWaves()) {
+                        this.timeUntilNextWave = this.waveConfig.delayBetweenWavesMs;
+                        this.lastDisplayedSeconds = Math.ceil(this.timeUntilNextWave / 1000);
+                    }
+                    this.dispatchEvent(new CustomEvent('statusUpdated'));
+                    // --- END ADDED ---
+                } else if (waveHadSpawns) { 
                     //console.log(`WaveManager: All scheduled spawns complete for Wave ${this.currentWaveNumber}. Waiting for screen clear.`);
                     this.waitingForClear = true; // *** Transition INTO Waiting State ***
                 } else if (this.currentWaveNumber > 0) {
@@ -642,8 +798,10 @@ export default class WaveManager extends EventTarget {
                     // Directly start the inter-wave timer without waiting for clear
                     console.log(`WaveManager: Wave ${this.currentWaveNumber} had no scheduled spawns. Starting inter-wave delay.`);
                     this.waitingForClear = false; // Ensure not waiting
-                    this.timeUntilNextWave = this.waveConfig.delayBetweenWavesMs;
-                    this.lastDisplayedSeconds = Math.ceil(this.timeUntilNextWave / 1000);
+                    if (this._hasMoreWaves()) {
+                        this.timeUntilNextWave = this.waveConfig.delayBetweenWavesMs;
+                        this.lastDisplayedSeconds = Math.ceil(this.timeUntilNextWave / 1000);
+                    }
                 this.dispatchEvent(new CustomEvent('statusUpdated'));
                 }
             }
@@ -663,7 +821,118 @@ export default class WaveManager extends EventTarget {
         
         // REMOVED: Else, check if the inter-wave timer is running (after screen clear)
         // else if (this.timeUntilNextWave > 0) { ... }
+
+        // --- ADDED: Campaign victory ---
+        if (this._isCampaignComplete()) {
+            this._declareVictory(timestamp);
+        }
+        // --- END ADDED ---
+    }
+     
+    /**
+     * Wraps up a wave whose enemies are all gone: records its average death distance (used to
+     * target later waves), lets StrikeManager settle its bounty and emits waveCleared.
+     * @param {number} waveNumber - The wave that cleared.
+     * @param {number} startTime - Game time (ms) the wave started.
+     * @param {number} clearTime - Game time (ms) its last enemy was gone.
+     * @private
+     */
+    _finalizeWave(waveNumber, startTime, clearTime) {
+        // Calculate average death distance for the wave that just cleared
+        if (typeof this.enemyManager.calculateAverageDeathDistance === 'function') {
+            this.lastAverageDeathDistance = this.enemyManager.calculateAverageDeathDistance(waveNumber); // Log is inside the function
+        }
+
+        // --- ADDED: Trigger StrikeManager final calculation --- 
+        if (this.game.strikeManager && typeof this.game.strikeManager.finalizeWaveDamage === 'function') {
+            this.game.strikeManager.finalizeWaveDamage(waveNumber, startTime, clearTime);
+        } else {
+             // Log warning if StrikeManager or method is missing - might be expected temporarily
+             // console.warn(`WaveManager: StrikeManager.finalizeWaveDamage not found when clearing wave ${waveNumber}.`);
+        }
+        // --- END ADDED ---
+        this.game.events?.emit(GAME_EVENTS.WAVE_CLEARED, {
+            waveNumber,
+            durationMs: clearTime - startTime
+        });
+    }
+
+    // --- ADDED: Overlapping waves ---
+    /**
+     * Finalises every fully spawned wave that has no enemies left, oldest first.
+     * @param {number} timestamp - The current game time (ms).
+     * @private
+     */
+    _finalizeClearedWaves(timestamp) {
+        const stillActive = [];
+        for (const wave of this.unclearedWaves) {
+            if (this.enemyManager.getActiveEnemyCountForWave(wave.waveNumber) === 0) {
+                this._finalizeWave(wave.waveNumber, wave.startTime, timestamp);
+            } else {
+                stillActive.push(wave);
+            }
+        }
+        this.unclearedWaves = stillActive;
+    }
+
+    /**
+     * @returns {number[]} Waves that have finished spawning but still have enemies alive (overlapping mode only).
+     */
+    getUnclearedWaveNumbers() {
+        return this.unclearedWaves.map(wave => wave.waveNumber);
+    }
+    // --- END ADDED ---
+
+    // --- ADDED: Campaign victory ---
+    /**
+     * @returns {number|null} The level's maxWaves (falling back to waves.json), or null if neither sets one.
+     */
+    getCampaignLength() {
+        const maxWaves = this.game.levelData?.maxWaves ?? this.waveConfig?.maxWaves;
+        return (typeof maxWaves === 'number' && maxWaves > 0) ? Math.floor(maxWaves) : null;
+    }
+
+    /**
+     * @returns {number|null} The last wave of this game, or null if waves never run out (endless mode or no campaign).
+     */
+    getMaxWaves() {
+        return this.game.isEndlessMode ? null : this.getCampaignLength();
+    }
+
+    /**
+     * @returns {boolean} True if another wave follows the current one.
+     * @private
+     */
+    _hasMoreWaves() {
+        const maxWaves = this.getMaxWaves();
+        return maxWaves === null || this.currentWaveNumber < maxWaves;
     }
+
+    /**
+     * @returns {boolean} True once the last campaign wave has spawned in full and every wave has cleared.
+     * @private
+     */
+    _isCampaignComplete() {
+        return !this._hasMoreWaves() &&
+               this.scheduleIndex >= this.currentWaveSchedule.length &&
+               !this.waitingForClear &&
+               this.timeUntilNextWave <= 0 &&
+               this.unclearedWaves.length === 0;
+    }
+
+    /**
+     * Ends the wave system after the last campaign wave and dispatches `victory`.
+     * @param {number} timestamp - The current game time (ms).
+     * @private
+     */
+    _declareVictory(timestamp) {
+        this.isFinished = true;
+        this.isVictory = true;
+        this.game.events?.emit(GAME_EVENTS.VICTORY, { wavesCleared: this.currentWaveNumber });
+        this.dispatchEvent(new CustomEvent('victory', { detail: { wavesCleared: this.currentWaveNumber, gameTime: timestamp } }));
+        this.dispatchEvent(new CustomEvent('statusUpdated'));
+    }
+    // --- END ADDED ---
      
      // Helper to expose the data path for TuningManager registration
      getDataPath() {
@@ -723,8 +992,8 @@ export default class WaveManager extends EventTarget {
 
         // If the wave is the current wave or the next pre-calculated wave, it should have been caught above.
         // If it's a past wave (not n-1) or a future wave beyond n+1, we might need to calculate it.
-        // Calculating on-the-fly can be expensive. For now, if it's a valid wave number from config, try to calculate.
-        if (this.waveConfig && this.waveConfig.waves && waveNumber > 0 && waveNumber <= this.waveConfig.waves.length) {
+        // Only authored waves are calculated on the fly: generated ones would draw from the seeded RNG and change the run.
+        if (this.authoredWaves.has(waveNumber)) {
             // console.log(`WaveManager.getWaveDurationSeconds: Attempting to calculate duration for wave ${waveNumber} on the fly.`);
             const result = this._calculateWaveScheduleAndDuration(waveNumber);
             if (result && typeof result.durationSeconds === 'number') {
@@ -765,21 +1034,141 @@ export default class WaveManager extends EventTarget {
         }
     }
 
+    // --- ADDED: Next-wave preview ---
+    /**
+     * Summarises the pre-calculated next wave (n+1) for display.
+     * @returns {{ waveNumber: number, enemies: Array<{ enemyId: string, count: number }>, totalBounty: number, durationSeconds: number } | null}
+     *          Enemy types in order of first appearance, or null if the next wave hasn't been calculated yet (before wave 1)
+     *          or there is none (during the campaign's last wave).
+     */
+    getNextWavePreview() {
+        if (!this.nextWaveSchedule || this.nextWaveSchedule.length === 0) return null;
+        if (!this._hasMoreWaves()) return null; // The current wave is the campaign's last
+
+        const counts = new Map();
+        for (const entry of this.nextWaveSchedule) {
+            counts.set(entry.enemyTypeId, (counts.get(entry.enemyTypeId) || 0) + 1);
+        }
+        return {
+            waveNumber: this.currentWaveNumber + 1,
+            enemies: Array.from(counts, ([enemyId, count]) => ({ enemyId, count })),
+            totalBounty: this.nextWaveTotalBounty,
+            durationSeconds: this.nextWaveDurationSeconds
+        };
+    }
+    // --- END ADDED ---
+
+    // --- ADDED: Send next wave early ---
+    /**
+     * @returns {boolean} True while counting down to a wave after the first, i.e. when the next wave can be called early.
+     */
+    canCallNextWaveEarly() {
+        return this.isStarted && !this.isFinished && !this.waitingForClear &&
+               this.timeUntilNextWave > 0 && this.currentWaveNumber > 0 && this.nextWaveSchedule.length > 0;
+    }
+
+    /**
+     * The bonus for calling the next wave now: the skipped seconds times the upcoming wave's
+     * average bounty rate (B(n+1) / T(n+1)), scaled by earlyCallBonusFactor.
+     * @returns {number} The rounded bonus, or 0 if the wave can't be called early.
+     */
+    getEarlyCallBonus() {
+        if (!this.canCallNextWaveEarly()) return 0;
+        const factor = this.waveConfig.earlyCallBonusFactor ?? 0;
+        if (factor <= 0 || this.nextWaveDurationSeconds <= 0) return 0;
+        const skippedSeconds = this.timeUntilNextWave / 1000;
+        return Math.round(factor * skippedSeconds * (this.nextWaveTotalBounty / this.nextWaveDurationSeconds));
+    }
+
+    /**
+     * Skips the rest of the inter-wave countdown: pays the early-call bonus and starts the next wave now.
+     * @returns {boolean} True if the wave was started.
+     */
+    callNextWaveEarly() {
+        if (!this.canCallNextWaveEarly()) return false;
+
+        const bonus = this.getEarlyCallBonus();
+        this.game.replayManager?.recordAction('callWaveEarly'); // For replays
+        this.timeUntilNextWave = 0;
+        this.lastDisplayedSeconds = null;
+        this.startNextWave(this.game.getGameTime());
+
+        if (bonus > 0) {
+            this.game.base?.addFunds(bonus);
+            // The bonus is income for the wave that just started, so the strike budget has to count it
+            this.game.strikeManager?.recordEarlyCallBonus(this.currentWaveNumber, bonus);
+        }
+        return true;
+    }
+    // --- END ADDED ---
+
+    // --- ADDED: Save/resume support ---
+    /**
+     * Captures the wave schedule position and the pre-calculated schedules for a save game.
+     * Schedules are saved rather than regenerated, so a resumed game sees exactly the waves it would have.
+     * @returns {object} Serializable state.
+     */
+    serializeState() {
+        return {
+            isStarted: this.isStarted,
+            isFinished: this.isFinished,
+            isVictory: this.isVictory,
+            currentWaveNumber: this.currentWaveNumber,
+            waveStartTime: this.waveStartTime,
+            timeUntilNextWave: this.timeUntilNextWave,
+            waitingForClear: this.waitingForClear,
+            lastAverageDeathDistance: this.lastAverageDeathDistance,
+            unclearedWaves: this.unclearedWaves.map(wave => ({ ...wave })),
+            scheduleIndex: this.scheduleIndex,
+            currentWaveSchedule: this.currentWaveSchedule.map(spawn => ({ ...spawn })),
+            currentWaveDurationSeconds: this.currentWaveDurationSeconds,
+            currentWaveTotalBounty: this.currentWaveTotalBounty,
+            nextWaveSchedule: this.nextWaveSchedule.map(spawn => ({ ...spawn })),
+            nextWaveDurationSeconds: this.nextWaveDurationSeconds,
+            nextWaveTotalBounty: this.nextWaveTotalBounty,
+            previousWaveDurationSeconds: this.previousWaveDurationSeconds,
+            previousWaveTotalBounty: this.previousWaveTotalBounty
+        };
+    }
+
+    /**
+     * Restores state captured by serializeState(). Expects reset() to have run first.
+     * @param {object} state - State from serializeState().
+     */
+    restoreState(state) {
+        if (!state) return;
+        this.isStarted = !!state.isStarted;
+        this.isFinished = !!state.isFinished;
+        this.isVictory = !!state.isVictory;
+        this.currentWaveNumber = state.currentWaveNumber ?? 0;
+        this.waveStartTime = state.waveStartTime ?? 0;
+        this.timeUntilNextWave = state.timeUntilNextWave ?? 0;
+        this.waitingForClear = !!state.waitingForClear;
+        this.lastAverageDeathDistance = state.lastAverageDeathDistance ?? null;
+        this.unclearedWaves = (state.unclearedWaves || []).map(wave => ({ ...wave }));
+        this.scheduleIndex = state.scheduleIndex ?? 0;
+        this.currentWaveSchedule = (state.currentWaveSchedule || []).map(spawn => ({ ...spawn }));
+        this.currentWaveDurationSeconds = state.currentWaveDurationSeconds ?? 0;
+        this.currentWaveTotalBounty = state.currentWaveTotalBounty ?? 0;
+        this.nextWaveSchedule = (state.nextWaveSchedule || []).map(spawn => ({ ...spawn }));
+        this.nextWaveDurationSeconds = state.nextWaveDurationSeconds ?? 0;
+        this.nextWaveTotalBounty = state.nextWaveTotalBounty ?? 0;
+        this.previousWaveDurationSeconds = state.previousWaveDurationSeconds ?? 0;
+        this.previousWaveTotalBounty = state.previousWaveTotalBounty ?? 0;
+        this.lastDisplayedSeconds = this.timeUntilNextWave > 0 ? Math.ceil(this.timeUntilNextWave / 1000) : null;
+        this.dispatchEvent(new CustomEvent('statusUpdated'));
+    }
+    // --- END ADDED ---
+
     /**
      * Resets the WaveManager to its initial state.
      */
     reset() {
         //console.log("WaveManager: Resetting...");
-        // Clear any pending initial wave timeout
-        if (this.initialWaveTimeoutId) {
-            clearTimeout(this.initialWaveTimeoutId);
-            this.initialWaveTimeoutId = null;
-            console.log("WaveManager: Cleared pending initial wave timeout.");
-        }
-
         // Reset internal state variables
         this.isStarted = false;
         this.isFinished = false;
+        this.isVictory = false;
         this.currentWaveNumber = 0;
         this.waveStartTime = 0;
         this.timeUntilNextWave = 0;
@@ -798,5 +1187,7 @@ export default class WaveManager extends EventTarget {
         // --- END ADDED ---
         this.waitingForClear = false;
         this.lastAverageDeathDistance = null;
+        this.unclearedWaves = [];
+        this.dispatchEvent(new CustomEvent('statusUpdated')); // ADDED: Wave number and schedules changed
     }
 }